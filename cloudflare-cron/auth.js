@@ -0,0 +1,164 @@
+// Authentication and per-token rate limiting for the worker's HTTP endpoints.
+//
+// Two ways to authenticate:
+// - Bearer tokens from the API_TOKENS secret, a JSON array of
+//   { "name": "phone", "token": "<random string>", "scope": "control" | "read" }
+//   sent as `Authorization: Bearer <token>`.
+// - HMAC-signed URLs (for bookmarks and shortcuts that can't set headers), signed with
+//   the SIGNING_SECRET secret: ?scope=control&expires=<unix seconds>&sig=<hex HMAC-SHA256>.
+//   A signature is only good for the HTTP method it was made for. See signUrl() below.
+//
+// "control" tokens can also read; "read" tokens only get the GET endpoints that change
+// nothing: /status, /schedule, /presets, /history and /simulate.
+
+import { json } from './http.js';
+import { RATE_LIMITS } from './config.js';
+
+const SCOPES = ['read', 'control'];
+
+function grants(scope, required) {
+  return SCOPES.indexOf(scope) >= SCOPES.indexOf(required);
+}
+
+// Compare without bailing on the first differing character
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// A malformed secret throws rather than reading as "no tokens": authorize() turns that into
+// a 500 so nobody gets in until it's fixed
+function parseTokens(env) {
+  if (!env.API_TOKENS) return [];
+  let tokens;
+  try {
+    tokens = JSON.parse(env.API_TOKENS);
+  } catch (err) {
+    throw new Error(`API_TOKENS is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(tokens)) throw new Error('API_TOKENS must be a JSON array of { name, token, scope }');
+  return tokens.filter(t => t?.token && SCOPES.includes(t.scope));
+}
+
+// What gets signed: the HTTP method, the path and every query param except `sig` in sorted
+// order. The method is included so a signed GET /presets?name=X can't be replayed as a
+// PUT or DELETE of that preset.
+function signingPayload(method, url) {
+  const params = [...url.searchParams].filter(([k]) => k !== 'sig').sort(([a], [b]) => a.localeCompare(b));
+  return `${method.toUpperCase()} ${url.pathname}?${new URLSearchParams(params)}`;
+}
+
+async function hmac(secret, payload) {
+  const key = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const sig = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload));
+  return [...new Uint8Array(sig)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sign a worker URL for one HTTP method (GET unless `method` says otherwise), e.g. from a shell:
+ *   node -e "import('./auth.js').then(a => a.signUrl('https://…/on?group=porch', SECRET, { scope: 'control', expiresIn: 86400 })).then(console.log)"
+ */
+export async function signUrl(urlString, secret, { scope = 'control', expiresIn = 3600, method = 'GET', now = Date.now() } = {}) {
+  const url = new URL(urlString);
+  url.searchParams.set('scope', scope);
+  url.searchParams.set('expires', String(Math.floor(now / 1000) + expiresIn));
+  url.searchParams.delete('sig');
+  url.searchParams.set('sig', await hmac(secret, signingPayload(method, url)));
+  return url.toString();
+}
+
+// Who is calling: { id, scope } or null if the credentials are missing or wrong
+async function identify(request, url, env, now) {
+  const header = request.headers.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    const presented = header.slice(7).trim();
+    const match = parseTokens(env).find(t => safeEqual(t.token, presented));
+    return match ? { id: `token:${match.name || match.scope}`, scope: match.scope } : null;
+  }
+
+  const sig = url.searchParams.get('sig');
+  if (sig && env.SIGNING_SECRET) {
+    const expires = parseInt(url.searchParams.get('expires'), 10);
+    const scope = url.searchParams.get('scope');
+    if (!SCOPES.includes(scope) || !(expires * 1000 > now)) return null;
+    const expected = await hmac(env.SIGNING_SECRET, signingPayload(request.method, url));
+    return safeEqual(expected, sig) ? { id: `signed:${sig.slice(0, 16)}`, scope } : null;
+  }
+
+  return null;
+}
+
+// Request counters live in the Cache API (per data center, so approximate) rather than in
+// KV: a burst would hit KV's one-write-per-second limit on the counter key, and every
+// request would use up daily KV writes the ledger needs. Outside Workers (tests, plain
+// Node) a Map stands in.
+const localCounts = new Map();
+
+const counterUrl = key => `https://rate-limit.invalid/${encodeURIComponent(key)}`;
+
+async function readCount(key) {
+  if (typeof caches === 'undefined') return localCounts.get(key) || 0;
+  const cached = await caches.default.match(counterUrl(key));
+  return cached ? parseInt(await cached.text(), 10) || 0 : 0;
+}
+
+async function writeCount(key, count, window) {
+  if (typeof caches === 'undefined') {
+    for (const k of localCounts.keys()) if (!k.endsWith(`:${window}`)) localCounts.delete(k);
+    localCounts.set(key, count);
+    return;
+  }
+  await caches.default.put(counterUrl(key), new Response(String(count), { headers: { 'Cache-Control': 'max-age=120' } }));
+}
+
+// Fixed one-minute window per caller. Fails open: a counter that can't be read or written
+// shouldn't lock everyone out.
+async function checkRateLimit(caller, now) {
+  const limit = RATE_LIMITS[caller.scope];
+  const window = Math.floor(now / 60000);
+  const key = `${caller.id}:${window}`;
+  try {
+    const count = await readCount(key);
+    if (count >= limit) {
+      return { limited: true, retryAfter: 60 - Math.floor((now / 1000) % 60) };
+    }
+    await writeCount(key, count + 1, window);
+  } catch (err) {
+    console.error(`Rate limit check failed, letting the request through: ${err.message}`);
+  }
+  return { limited: false };
+}
+
+/**
+ * Check credentials, scope and rate limit for a request needing `required` scope.
+ * Returns an error Response to send back, or null to let the request through.
+ */
+export async function authorize(request, url, env, required, now = Date.now()) {
+  if (!env.API_TOKENS && !env.SIGNING_SECRET) {
+    return json(env, { error: 'Authentication is not configured (set API_TOKENS or SIGNING_SECRET)' }, 401);
+  }
+
+  let caller;
+  try {
+    caller = await identify(request, url, env, now);
+  } catch (err) {
+    console.error(`Authentication misconfigured: ${err.message}`);
+    return json(env, { error: `Authentication is misconfigured: ${err.message}` }, 500);
+  }
+  if (!caller) {
+    return json(env, { error: 'Missing or invalid credentials' }, 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+  if (!grants(caller.scope, required)) {
+    return json(env, { error: `This ${caller.scope} credential cannot access ${url.pathname} (needs ${required})` }, 403);
+  }
+
+  const { limited, retryAfter } = await checkRateLimit(caller, now);
+  if (limited) {
+    return json(env, { error: 'Rate limit exceeded', retryAfter }, 429, { 'Retry-After': String(retryAfter) });
+  }
+  return null;
+}
@@ -0,0 +1,56 @@
+// Where the lights are. Sun-based rules use lat/lng; clock rules use the time zone
+// unless a rule sets its own `timezone`.
+export const LOCATION = {
+  lat: 39.7392,
+  lng: -104.9903,
+  timezone: 'America/Denver'
+};
+
+// Named device groups, by device ID, SKU or device name (see shared/groups.js).
+// Endpoints take ?group=porch or ?device=<id or name>; rules take `group` / `device` fields.
+//   porch: { devices: ['AB:CD:EF:12:34:56:78:90'] },
+//   'living room': { skus: ['H6076'], devices: ['Uplighter'] }
+export const GROUPS = {};
+
+// Schedule rules, evaluated on every cron tick (see shared/schedule.js for the format).
+// Override without redeploying code by setting the SCHEDULE_RULES var to a JSON array.
+// Add `fade` to an "on" action to ramp up instead of switching straight to full:
+//   { id: 'sunset-on', at: 'sunset', action: { power: 'on', fade: { minutes: 30, brightness: 80 } } }
+// `fade: true` uses the defaults in shared/fade.js (1% -> 100%, 6500K -> 2700K over 30 min).
+// Set a warm white (Kelvin, clamped to each device's range) along with power; /sunset does the same:
+//   { id: 'sunset-on', at: 'sunset', action: { power: 'on', colorTemperature: 2700 } }
+// Limit a rule to a group with `group`, e.g. keep the bedroom lamp out of the sunset rule:
+//   { id: 'porch-on', at: 'sunset', group: 'porch', action: { power: 'on' } }
+// Apply a saved preset instead of just powering on:
+//   { id: 'sunset-on', at: 'sunset', action: { preset: 'Dinner' } }
+export const RULES = [
+  { id: 'sunset-on', at: 'sunset', action: { power: 'on' } },
+  { id: 'night-off', at: '01:00', action: { power: 'off' } }
+];
+
+// Presets rules can apply by name, keyed by name (see shared/presets.js). Presets saved in
+// the dashboard are uploaded to KV through PUT /presets and take precedence over these.
+export const PRESETS = {};
+
+// How long after its trigger time a rule may still run if ticks were missed.
+// Each rule runs at most once per local date (see shared/ledger.js).
+export const CATCH_UP_MINUTES = 120;
+
+// /sunset only acts from sunset until this many minutes after it. Scheduled sunset runs
+// come from the rules on the every-minute cron; this covers callers of the endpoint that
+// poll it (a shortcut, an external scheduler) and may run a minute or two late.
+export const SUNSET_WINDOW_MINUTES = 5;
+
+// Longest range GET/POST /simulate accepts. Every tick of it is replayed inside one
+// request, and read tokens can call it; simulate.js on the command line allows 400 days.
+export const SIMULATE_ENDPOINT_MAX_DAYS = 31;
+
+// Requests per minute allowed for each credential, by scope (see auth.js)
+export const RATE_LIMITS = {
+  read: 60,
+  control: 20
+};
+
+// Failure alerts (see shared/alerts.js) go to the webhooks in the ALERT_WEBHOOKS secret.
+// The same alert (same failed devices, same device offline, ...) is sent at most once per window.
+export const ALERT_DEDUPE_MINUTES = 360;
@@ -0,0 +1,22 @@
+// Response helpers shared by the worker's endpoints
+
+// CORS is only enabled for the origin named in CORS_ORIGIN (e.g. the dashboard's URL).
+// The dashboard sends JSON with PUT/POST/DELETE (/presets, /simulate), so preflights must
+// allow those methods and the Content-Type header.
+export function corsHeaders(env) {
+  if (!env.CORS_ORIGIN) return {};
+  return {
+    'Access-Control-Allow-Origin': env.CORS_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
+  };
+}
+
+export function json(env, data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders(env), ...headers }
+  });
+}
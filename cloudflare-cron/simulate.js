@@ -0,0 +1,67 @@
+// Dry run of the worker's schedule from the command line: replays every cron tick between
+// two dates with the rules in config.js (or a JSON file) and prints what would be sent.
+// Nothing is sent to the lights.
+//
+//   node simulate.js --from 2026-11-01 --to 2026-11-02
+//   node simulate.js --from 2026-01-01 --to 2026-12-31 --rules new-rules.json --json
+//
+// With GOVEE_API_KEY set the real device list is used (one read-only call); without it
+// the commands are shown against a single placeholder device.
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { simulate } from '../shared/simulate.js';
+import { validateRules } from '../shared/schedule.js';
+import { targetFrom, validateTarget } from '../shared/groups.js';
+import { createGoveeClient } from '../shared/govee.js';
+import { CATCH_UP_MINUTES, GROUPS, LOCATION, PRESETS, RULES } from './config.js';
+
+const PLACEHOLDER_DEVICES = [{ device: 'all', sku: '', deviceName: 'every device', capabilities: [] }];
+
+const { values: args } = parseArgs({
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    rules: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    fades: { type: 'boolean', default: false }
+  }
+});
+
+if (!args.from) {
+  console.error('Usage: node simulate.js --from <date|ISO time> [--to <date|ISO time>] [--rules rules.json] [--fades] [--json]');
+  process.exit(1);
+}
+
+const rules = args.rules ? JSON.parse(await readFile(args.rules, 'utf8')) : RULES;
+validateRules(rules).forEach(rule => validateTarget(targetFrom(rule), GROUPS));
+
+const devices = process.env.GOVEE_API_KEY
+  ? await createGoveeClient({ apiKey: process.env.GOVEE_API_KEY, baseUrl: process.env.GOVEE_API_BASE || undefined, source: 'simulate' }).listDevices()
+  : PLACEHOLDER_DEVICES;
+
+const result = await simulate({
+  from: args.from,
+  to: args.to || args.from,
+  rules,
+  devices,
+  location: LOCATION,
+  groups: GROUPS,
+  findPreset: async name => PRESETS[Object.keys(PRESETS).find(k => k.toLowerCase() === name.toLowerCase())] || null,
+  catchUpMinutes: CATCH_UP_MINUTES
+});
+
+if (args.json) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  console.log(`${result.from} -> ${result.to} (${LOCATION.timezone}), ${result.ticks} ticks`);
+  // Fade steps fire every minute while a fade runs; only shown with --fades
+  for (const run of result.runs.filter(r => args.fades || r.kind !== 'fade')) {
+    const what = run.kind === 'rule' ? `${run.ruleId} (${run.trigger}${run.lateMinutes > 0 ? `, ${run.lateMinutes} min late` : ''})` : 'fade step';
+    // Devices without a capability are skipped; only what would actually be sent is shown
+    const sent = run.results.filter(r => !r.skipped);
+    const actions = [...new Set(sent.map(r => r.action))].join(', ');
+    const names = [...new Set(sent.map(r => r.name || r.device))].join(', ');
+    console.log(`${run.local}  ${what}: ${actions || 'nothing sent'}${names ? ` -> ${names}` : ''}`);
+  }
+}
@@ -1,231 +1,420 @@
-const GOVEE_API = 'https://openapi.api.govee.com/router/api/v1';
-const DENVER_LAT = 39.7392;
-const DENVER_LNG = -104.9903;
+import { getSunTimes } from '../shared/solar.js';
+import { describeDay, validateRules } from '../shared/schedule.js';
+import { isDateString, localDate } from '../shared/time.js';
+import { MemoryKV } from '../shared/kv.js';
+import { describeTarget, selectDevices, targetFrom, validateTarget } from '../shared/groups.js';
+import { validatePreset } from '../shared/presets.js';
+import { createAutomation } from '../shared/automation.js';
+import { createHistory, historyQuery } from '../shared/history.js';
+import { configAlert, createAlerter, parseAlertSinks, runAlerts, sunsetAlert } from '../shared/alerts.js';
+import { simulate } from '../shared/simulate.js';
+import { ALERT_DEDUPE_MINUTES, CATCH_UP_MINUTES, GROUPS, LOCATION, PRESETS, RULES, SIMULATE_ENDPOINT_MAX_DAYS, SUNSET_WINDOW_MINUTES } from './config.js';
+import { capability, createGoveeClient, parseState } from '../shared/govee.js';
+import { authorize } from './auth.js';
+import { corsHeaders, json } from './http.js';
 
-// Auto-off hour in Denver local time (1 AM)
-const OFF_HOUR_LOCAL = 1;
+// Used when no LIGHTS_KV binding is configured (local dev); forgets everything on restart
+const memoryKV = new MemoryKV();
+
+// The ledger in memory is lost whenever a new isolate starts, and every tick in the
+// catch-up window would then run the day's rules again. Only local dev may tick without KV.
+function missingStore(env) {
+  return !env.LIGHTS_KV && env.ALLOW_MEMORY_KV !== 'true';
+}
+
+// Scope a credential needs for each endpoint (see auth.js)
+const ENDPOINT_SCOPES = {
+  '/on': 'control',
+  '/off': 'control',
+  '/sunset': 'control',
+  '/status': 'read',
+  '/schedule': 'read',
+  '/presets': 'read',
+  '/history': 'read',
+  '/simulate': 'read'
+};
+
+// KV key prefix for presets uploaded by the dashboard server (see PUT /presets)
+const PRESET_PREFIX = 'preset:';
 
 export default {
   async scheduled(event, env, ctx) {
-    const denverHour = getDenverHour();
-
-    // Turn off at 1:00 AM Denver time (works for both MST and MDT)
-    if (denverHour === OFF_HOUR_LOCAL) {
-      console.log(`Lights OFF - 1:00 AM Denver time (UTC hour: ${new Date().getUTCHours()})`);
-      await controlAllLightsWithRetry(env, false);
+    const now = new Date(event.scheduledTime);
+    if (missingStore(env)) {
+      const reason = 'No LIGHTS_KV binding, so rules would run again on every restart: not running the schedule (see wrangler.toml)';
+      console.error(reason);
+      await getAlerts(env).notify(configAlert(reason));
+      return;
     }
-    // Sunset window: 3PM-7PM Denver time - check for sunset
-    else if (denverHour >= 15 && denverHour <= 19) {
-      await checkSunsetAndTurnOn(env);
+    try {
+      await getAutomation(env).tick(now);
+    } catch (err) {
+      if (!(err instanceof ConfigError)) throw err;
+      await reportConfigError(env, err, now);
     }
   },
 
   async fetch(request, env) {
     const url = new URL(request.url);
 
-    if (url.pathname === '/on') {
-      await controlAllLightsWithRetry(env, true);
-      return new Response('Lights ON');
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: corsHeaders(env) });
+    }
+
+    const scope = ENDPOINT_SCOPES[url.pathname];
+    if (!scope) {
+      return new Response('Endpoints: /on, /off, /sunset, /status, /schedule, /presets, /history, /simulate (add ?group= or ?device= to target)');
+    }
+    // Uploading or deleting presets changes what the lights will do, so it needs control
+    const required = url.pathname === '/presets' && request.method !== 'GET' ? 'control' : scope;
+    const denied = await authorize(request, url, env, required);
+    if (denied) return denied;
+
+    // ?group=porch and/or ?device=<id or name> narrow /on, /off, /sunset and /status
+    const target = targetFrom(url.searchParams);
+    try {
+      validateTarget(target, GROUPS);
+    } catch (err) {
+      return json(env, { error: err.message }, 400);
     }
-    if (url.pathname === '/off') {
-      await controlAllLightsWithRetry(env, false);
-      return new Response('Lights OFF');
+
+    const automation = getAutomation(env);
+    if (url.pathname === '/on' || url.pathname === '/off') {
+      const on = url.pathname === '/on';
+      const results = [];
+      if (!on) await automation.cancelFades(target);
+      const ok = await automation.setAll(capability.power(on), target, {}, results);
+      await getHistory(env).record({
+        source: 'endpoint',
+        kind: 'control',
+        action: on ? 'ON' : 'OFF',
+        target: describeTarget(target),
+        ok,
+        results
+      });
+      return new Response(`Lights ${on ? 'ON' : 'OFF'} (${describeTarget(target)})`, { headers: corsHeaders(env) });
     }
     if (url.pathname === '/sunset') {
-      const result = await checkSunsetAndTurnOn(env);
-      return new Response(JSON.stringify(result, null, 2));
+      let action;
+      try {
+        action = sunsetAction(env);
+      } catch (err) {
+        return configErrorResponse(env, err);
+      }
+      return json(env, await checkSunsetAndTurnOn(automation, getHistory(env), getAlerts(env), action, target));
     }
     if (url.pathname === '/status') {
-      const result = await getDeviceStatus(env);
-      return new Response(JSON.stringify(result, null, 2), {
-        headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
-      });
+      return json(env, await getDeviceStatus(env, target));
     }
 
-    return new Response('Endpoints: /on, /off, /sunset, /status');
+    if (url.pathname === '/presets') {
+      return handlePresets(request, url, env);
+    }
+    if (url.pathname === '/simulate') {
+      return handleSimulate(request, url, env);
+    }
+    if (url.pathname === '/history') {
+      try {
+        return json(env, { entries: await getHistory(env).query(historyQuery(url.searchParams)) });
+      } catch (err) {
+        return json(env, { error: err.message }, 400);
+      }
+    }
+
+    // /schedule
+    const date = url.searchParams.get('date') || localDate(LOCATION.timezone);
+    if (!isDateString(date)) {
+      return json(env, { error: `date must be YYYY-MM-DD, not ${date}` }, 400);
+    }
+    let configured;
+    try {
+      configured = getRules(env);
+    } catch (err) {
+      return configErrorResponse(env, err);
+    }
+    const ran = await automation.ledger.forDate(date);
+    const rules = describeDay(configured, date, LOCATION).map(r => ({
+      ...r,
+      ran: ran.find(entry => entry?.ruleId === r.id) || null
+    }));
+    return json(env, { date, location: LOCATION, rules });
   }
 };
 
-function getDenverHour() {
-  // Get current hour in Denver, correctly handling MST/MDT via Intl API
-  const denverTime = new Date().toLocaleString('en-US', { timeZone: 'America/Denver', hour12: false });
-  // Format: "M/D/YYYY, HH:MM:SS"
-  const timePart = denverTime.split(', ')[1];
-  return parseInt(timePart.split(':')[0], 10);
+// GET lists presets; PUT ?name= stores the JSON body; DELETE ?name= removes one
+async function handlePresets(request, url, env) {
+  const store = getStore(env);
+  const name = url.searchParams.get('name');
+
+  if (request.method === 'GET') {
+    const { keys } = await store.list({ prefix: PRESET_PREFIX });
+    const stored = await Promise.all(keys.map(k => store.get(k.name, 'json')));
+    return json(env, { presets: [...Object.values(PRESETS), ...stored] });
+  }
+  if (!name) return json(env, { error: 'name is required' }, 400);
+
+  if (request.method === 'PUT') {
+    let preset;
+    try {
+      preset = validatePreset({ ...await request.json(), name });
+    } catch (err) {
+      return json(env, { error: err.message }, 400);
+    }
+    await store.put(PRESET_PREFIX + name.toLowerCase(), JSON.stringify(preset));
+    return json(env, preset);
+  }
+  if (request.method === 'DELETE') {
+    await store.delete(PRESET_PREFIX + name.toLowerCase());
+    return new Response(null, { status: 204, headers: corsHeaders(env) });
+  }
+  return json(env, { error: `Method ${request.method} not allowed` }, 405);
+}
+
+// Dry run of the schedule over ?from=&to= (dates or ISO times, at most SIMULATE_ENDPOINT_MAX_DAYS
+// apart): every cron tick is replayed and the commands that would be sent are returned,
+// nothing is sent. POST a { rules } body to try rules before deploying them; GET uses the
+// current ones. Devices are listed once. A fade sends a step every minute, so fade steps
+// are only listed with ?fades=1; otherwise just their count comes back as `fadeSteps`.
+async function handleSimulate(request, url, env) {
+  try {
+    let rules = getRules(env);
+    if (request.method === 'POST') {
+      rules = validateRules((await request.json()).rules);
+      rules.forEach(rule => validateTarget(targetFrom(rule), GROUPS));
+    }
+    const result = await simulate({
+      from: url.searchParams.get('from') || localDate(LOCATION.timezone),
+      to: url.searchParams.get('to') || url.searchParams.get('from') || localDate(LOCATION.timezone),
+      rules,
+      devices: await getClient(env).listDevices(),
+      location: LOCATION,
+      groups: GROUPS,
+      findPreset: name => findPreset(env, name),
+      catchUpMinutes: CATCH_UP_MINUTES,
+      maxDays: SIMULATE_ENDPOINT_MAX_DAYS
+    });
+    if (url.searchParams.get('fades') === '1') return json(env, result);
+    const fadeSteps = result.runs.filter(run => run.kind === 'fade').length;
+    return json(env, { ...result, runs: result.runs.filter(run => run.kind !== 'fade'), fadeSteps });
+  } catch (err) {
+    if (err instanceof ConfigError) return configErrorResponse(env, err);
+    return json(env, { error: err.message, kind: err.kind }, err.kind ? 502 : 400);
+  }
+}
+
+// Presets uploaded to KV win over ones defined in config.js
+async function findPreset(env, name) {
+  const stored = await getStore(env).get(PRESET_PREFIX + name.toLowerCase(), 'json');
+  if (stored) return stored;
+  const key = Object.keys(PRESETS).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? PRESETS[key] : null;
 }
 
-function getDenverDate() {
-  // Get current date in Denver, correctly handling MST/MDT via Intl API
-  const formatter = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Denver' }); // en-CA gives YYYY-MM-DD
-  return formatter.format(new Date());
+function getStore(env) {
+  return env.LIGHTS_KV || memoryKV;
 }
 
-async function checkSunsetAndTurnOn(env) {
-  // Use Denver local date, not UTC date
-  const today = getDenverDate();
-  const sunsetRes = await fetch(
-    `https://api.sunrise-sunset.org/json?lat=${DENVER_LAT}&lng=${DENVER_LNG}&date=${today}&formatted=0`
-  );
-  const sunsetData = await sunsetRes.json();
-
-  if (sunsetData.status !== 'OK') {
-    console.log('Failed to fetch sunset time');
-    return { error: 'Failed to fetch sunset' };
+// Run history shares the lights KV (entries expire on their own, see history.js)
+function getHistory(env) {
+  return createHistory(getStore(env));
+}
+
+// Webhooks from the ALERT_WEBHOOKS secret (see shared/alerts.js); none configured means no alerts
+function getAlerts(env) {
+  return createAlerter({
+    sinks: parseAlertSinks(env.ALERT_WEBHOOKS),
+    kv: getStore(env),
+    dedupeMinutes: ALERT_DEDUPE_MINUTES
+  });
+}
+
+// The deployed rules are broken: nothing scheduled can run until the config is fixed
+class ConfigError extends Error {}
+
+// Broken rules stop every tick until fixed: record that in the history and alert, both
+// once per alert dedupe window rather than once a minute
+async function reportConfigError(env, err, now) {
+  console.error(`Config error: ${err.message}`);
+  const alert = configAlert(err.message);
+  const store = getStore(env);
+  const key = `reported:${alert.key}`;
+  if (!await store.get(key)) {
+    await store.put(key, now.toISOString(), { expirationTtl: ALERT_DEDUPE_MINUTES * 60 });
+    await getHistory(env).record({
+      at: now.toISOString(),
+      source: 'cron',
+      kind: 'config',
+      action: 'schedule not running',
+      target: null,
+      ok: false,
+      error: err.message,
+      results: []
+    });
+  }
+  await getAlerts(env).notify(alert);
+}
+
+function configErrorResponse(env, err) {
+  console.error(`Config error: ${err.message}`);
+  return json(env, { error: err.message, kind: 'config' }, 500);
+}
+
+// Rules from the SCHEDULE_RULES var if set, otherwise the defaults in config.js.
+// A rule's optional `group` / `device` fields limit which lights it controls.
+// Throws a ConfigError if they don't parse or validate.
+function getRules(env) {
+  const source = env.SCHEDULE_RULES ? 'SCHEDULE_RULES' : 'RULES in config.js';
+  let rules = RULES;
+  if (env.SCHEDULE_RULES) {
+    try {
+      rules = JSON.parse(env.SCHEDULE_RULES);
+    } catch (err) {
+      throw new ConfigError(`${source} is not valid JSON: ${err.message}`);
+    }
+  }
+  try {
+    return validateRules(rules).map(rule => {
+      validateTarget(targetFrom(rule), GROUPS);
+      return rule;
+    });
+  } catch (err) {
+    throw new ConfigError(`${source}: ${err.message}`);
+  }
+}
+
+// /sunset does what the 'sunset-on' rule does (e.g. power on at a warm white), or just powers on
+const SUNSET_RULE_ID = 'sunset-on';
+
+function sunsetAction(env) {
+  const rule = getRules(env).find(r => r.id === SUNSET_RULE_ID);
+  return rule?.action || { power: 'on' };
+}
+
+async function checkSunsetAndTurnOn(automation, history, alerts, action, target = {}, now = new Date()) {
+  // Use local date, not UTC date
+  const today = localDate(LOCATION.timezone, now);
+  // Computed locally so a third-party sunset API outage can't keep the lights off
+  let sunsetTime;
+  try {
+    sunsetTime = getSunTimes(today, LOCATION.lat, LOCATION.lng).sunset;
+  } catch (err) {
+    console.error(`Sunset calculation failed: ${err.message}`);
+    await alerts.notify(sunsetAlert(today, err.message));
+    return { error: `Sunset calculation failed: ${err.message}`, localDate: today };
+  }
+
+  if (!sunsetTime) {
+    console.log('No sunset today');
+    await alerts.notify(sunsetAlert(today, `no sunset at ${LOCATION.lat}, ${LOCATION.lng}`));
+    return { error: 'No sunset today', localDate: today };
   }
 
-  const sunsetTime = new Date(sunsetData.results.sunset);
-  const now = new Date();
   const diffMinutes = (now - sunsetTime) / 1000 / 60;
 
-  console.log(`Denver date: ${today}, Sunset: ${sunsetTime.toISOString()}, Now: ${now.toISOString()}, Diff: ${diffMinutes} min`);
+  console.log(`Local date: ${today}, Sunset: ${sunsetTime.toISOString()}, Now: ${now.toISOString()}, Diff: ${diffMinutes} min`);
+
+  // Turn on from sunset until SUNSET_WINDOW_MINUTES after it, once a day: the run is claimed
+  // under the sunset-on rule's ledger key, so neither repeated polls nor the cron's own
+  // sunset-on run switch the lights on again
+  const inWindow = diffMinutes >= 0 && diffMinutes < SUNSET_WINDOW_MINUTES;
+  const run = { scheduledFor: sunsetTime.toISOString(), source: 'endpoint' };
+  if (inWindow && !await automation.ledger.claim(SUNSET_RULE_ID, today, run)) {
+    console.log(`Sunset lights already ran for ${today}`);
+    return {
+      triggered: false,
+      alreadyRan: true,
+      ran: await automation.ledger.get(SUNSET_RULE_ID, today),
+      sunset: sunsetTime.toISOString(),
+      diff: diffMinutes,
+      localDate: today,
+      message: 'Sunset lights already ran today'
+    };
+  }
+  const triggered = inWindow;
+  const results = [];
+  let ok = true;
+  if (triggered) {
+    ok = false;
+    try {
+      ok = await automation.runAction(action, target, now, results);
+    } finally {
+      await automation.ledger.record(SUNSET_RULE_ID, today, { ...run, ok });
+    }
+  }
+  const entry = {
+    at: now.toISOString(),
+    source: 'endpoint',
+    kind: 'sunset',
+    action,
+    target: describeTarget(target),
+    sunset: sunsetTime.toISOString(),
+    sunsetDiffMinutes: Math.round(diffMinutes),
+    triggered,
+    ok,
+    results
+  };
+  await history.record(entry);
+  await alerts.notifyAll(runAlerts(entry));
 
-  // Turn on if within 20 min of sunset (cron runs every 15 min, so need margin)
-  if (diffMinutes >= -5 && diffMinutes <= 20) {
-    await controlAllLights(env, true);
+  if (triggered) {
     console.log('Lights ON at sunset!');
-    return { triggered: true, sunset: sunsetTime.toISOString(), diff: diffMinutes };
+    return { triggered: true, ok, sunset: sunsetTime.toISOString(), diff: diffMinutes };
   }
 
-  return { triggered: false, sunset: sunsetTime.toISOString(), diff: diffMinutes, denverDate: today, message: 'Not sunset time yet' };
+  return { triggered: false, sunset: sunsetTime.toISOString(), diff: diffMinutes, localDate: today, message: 'Not sunset time yet' };
 }
 
-async function getDeviceStatus(env) {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Govee-API-Key': env.GOVEE_API_KEY
-  };
+async function getDeviceStatus(env, target = {}) {
+  const client = getClient(env);
 
   try {
-    // Get all devices
-    const devicesRes = await fetch(`${GOVEE_API}/user/devices`, { headers });
-    const devicesData = await devicesRes.json();
-    const devices = devicesData.data || [];
+    const devices = selectDevices(await client.listDevices(), target, GROUPS);
 
     const statuses = await Promise.all(devices.map(async (device) => {
       try {
-        // Try to get device state
-        const stateRes = await fetch(`${GOVEE_API}/device/state`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            requestId: `status-${Date.now()}-${device.device}`,
-            payload: {
-              sku: device.sku,
-              device: device.device
-            }
-          })
-        });
-        const stateData = await stateRes.json();
-        const capabilities = stateData.payload?.capabilities || [];
-
-        // Extract relevant state
-        const powerState = capabilities.find(c => c.type === 'devices.capabilities.on_off');
-        const brightnessState = capabilities.find(c => c.type === 'devices.capabilities.range' && c.instance === 'brightness');
-        const colorState = capabilities.find(c => c.instance === 'colorRgb');
-        const sceneState = capabilities.find(c => c.instance === 'lightScene');
-
-        // Convert color int to RGB
-        const colorInt = colorState?.state?.value;
-        let rgb = null;
-        if (colorInt !== null && colorInt !== undefined) {
-          rgb = {
-            r: (colorInt >> 16) & 255,
-            g: (colorInt >> 8) & 255,
-            b: colorInt & 255
-          };
-        }
-
+        const state = parseState(await client.getState(device));
         return {
           name: device.deviceName,
           sku: device.sku,
-          power: powerState?.state?.value === 1 ? 'ON' : 'OFF',
-          brightness: brightnessState?.state?.value ?? null,
-          color: rgb,
-          scene: sceneState?.state?.value || null
+          online: state.online,
+          power: state.power ? 'ON' : 'OFF',
+          brightness: state.brightness,
+          color: state.color && { r: state.color[0], g: state.color[1], b: state.color[2] },
+          colorTemperatureK: state.colorTemperatureK,
+          scene: state.scene
         };
       } catch (err) {
         return {
           name: device.deviceName,
           sku: device.sku,
-          error: err.message
+          error: err.message,
+          kind: err.kind
         };
       }
     }));
 
     return { devices: statuses, timestamp: new Date().toISOString() };
   } catch (err) {
-    return { error: err.message, timestamp: new Date().toISOString() };
+    return { error: err.message, kind: err.kind, timestamp: new Date().toISOString() };
   }
 }
 
-async function controlAllLightsWithRetry(env, turnOn, maxRetries = 3) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const results = await controlAllLights(env, turnOn);
-      const failedDevices = results.filter(r => !r.success);
-
-      if (failedDevices.length === 0) {
-        console.log(`All devices ${turnOn ? 'ON' : 'OFF'} (attempt ${attempt})`);
-        return;
-      }
-
-      console.log(`Attempt ${attempt}: ${failedDevices.length} device(s) failed`);
-
-      if (attempt < maxRetries) {
-        // Exponential backoff: 2s, 4s
-        await new Promise(r => setTimeout(r, 2000 * attempt));
-      }
-    } catch (err) {
-      console.error(`Attempt ${attempt} error:`, err);
-      if (attempt < maxRetries) {
-        await new Promise(r => setTimeout(r, 2000 * attempt));
-      }
-    }
-  }
-  console.error(`Failed to turn ${turnOn ? 'on' : 'off'} all lights after ${maxRetries} attempts`);
+// GOVEE_API_BASE switches to another API, e.g. the local emulator under `wrangler dev`
+function getClient(env) {
+  return createGoveeClient({ apiKey: env.GOVEE_API_KEY, baseUrl: env.GOVEE_API_BASE || undefined, source: 'cron' });
 }
 
-async function controlAllLights(env, turnOn) {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Govee-API-Key': env.GOVEE_API_KEY
-  };
-
-  // Get all devices
-  const devicesRes = await fetch(`${GOVEE_API}/user/devices`, { headers });
-  const devicesData = await devicesRes.json();
-  const devices = devicesData.data || [];
-
-  console.log(`Found ${devices.length} devices`);
-
-  // Control all devices in parallel
-  const results = await Promise.all(devices.map(async (device) => {
-    try {
-      const res = await fetch(`${GOVEE_API}/device/control`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify({
-          requestId: `cron-${Date.now()}-${device.device}`,
-          payload: {
-            sku: device.sku,
-            device: device.device,
-            capability: {
-              type: 'devices.capabilities.on_off',
-              instance: 'powerSwitch',
-              value: turnOn ? 1 : 0
-            }
-          }
-        })
-      });
-      const data = await res.json();
-      const success = data.code === 200;
-      console.log(`${turnOn ? 'ON' : 'OFF'}: ${device.deviceName} - ${success ? 'OK' : 'FAILED'}`);
-      return { device: device.deviceName, success };
-    } catch (err) {
-      console.error(`Failed to control ${device.deviceName}:`, err);
-      return { device: device.deviceName, success: false };
-    }
-  }));
-
-  return results;
+function getAutomation(env) {
+  return createAutomation({
+    store: getStore(env),
+    client: getClient(env),
+    location: LOCATION,
+    catchUpMinutes: CATCH_UP_MINUTES,
+    getRules: async () => getRules(env),
+    getGroups: async () => GROUPS,
+    findPreset: name => findPreset(env, name),
+    history: getHistory(env),
+    source: 'cron',
+    alerts: getAlerts(env)
+  });
 }
@@ -0,0 +1,343 @@
+// Local request harness: worker.fetch() with a fake env and a fake Govee API, no wrangler
+// or network needed. Run with `npm test` in this directory.
+
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from './worker.js';
+import { signUrl } from './auth.js';
+import { MemoryKV } from '../shared/kv.js';
+
+const SECRET = 'test-signing-secret';
+const DEVICES = [{ device: 'AA:BB', sku: 'H6008', deviceName: 'Desk Lamp', capabilities: [] }];
+
+// Requests to the Govee API, as { path, body }
+let goveeCalls;
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  goveeCalls = [];
+  globalThis.fetch = async (url, options = {}) => {
+    const body = options.body ? JSON.parse(options.body) : null;
+    goveeCalls.push({ path: new URL(url).pathname, body });
+    if (url.endsWith('/user/devices')) return Response.json({ code: 200, data: DEVICES });
+    if (url.endsWith('/device/state')) {
+      return Response.json({ code: 200, payload: { device: body.payload.device, capabilities: [] } });
+    }
+    return Response.json({ code: 200 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Each test gets its own tokens so rate limit counters (kept in the worker's in-memory KV)
+// don't carry over
+let nextToken = 0;
+function makeEnv(extra = {}) {
+  const id = ++nextToken;
+  const tokens = { read: `read-${id}`, control: `control-${id}` };
+  const env = {
+    GOVEE_API_KEY: 'test-key',
+    API_TOKENS: JSON.stringify([
+      { name: `phone-${id}`, token: tokens.read, scope: 'read' },
+      { name: `shortcut-${id}`, token: tokens.control, scope: 'control' }
+    ]),
+    SIGNING_SECRET: SECRET,
+    ...extra
+  };
+  return { env, tokens };
+}
+
+function call(env, path, { token, method = 'GET', body } = {}) {
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
+  return worker.fetch(new Request(new URL(path, 'https://lights.example.com'), {
+    method, headers, ...(body && { body: JSON.stringify(body) })
+  }), env);
+}
+
+const controlCalls = () => goveeCalls.filter(c => c.path.endsWith('/device/control'));
+
+test('401 when no auth is configured at all', async () => {
+  const res = await call({}, '/on');
+  assert.equal(res.status, 401);
+  assert.match((await res.json()).error, /not configured/);
+  assert.equal(controlCalls().length, 0);
+});
+
+test('401 with WWW-Authenticate for missing or unknown tokens', async () => {
+  const { env } = makeEnv();
+  for (const token of [undefined, 'nope']) {
+    const res = await call(env, '/on', { token });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get('WWW-Authenticate'), 'Bearer');
+    assert.equal(res.headers.get('Content-Type'), 'application/json');
+  }
+  assert.equal(controlCalls().length, 0);
+});
+
+test('500 and nobody gets in when API_TOKENS is malformed', async () => {
+  const { env } = makeEnv({ API_TOKENS: '[{"token": "abc", "scope": "control"' });
+  const res = await call(env, '/on', { token: 'abc' });
+  assert.equal(res.status, 500);
+  assert.match((await res.json()).error, /API_TOKENS is not valid JSON/);
+
+  const notList = await call({ ...env, API_TOKENS: '{"token": "abc", "scope": "control"}' }, '/on', { token: 'abc' });
+  assert.equal(notList.status, 500);
+  assert.equal(controlCalls().length, 0);
+});
+
+test('read tokens can read but not control', async () => {
+  const { env, tokens } = makeEnv();
+  for (const path of ['/status', '/schedule', '/presets', '/history']) {
+    assert.equal((await call(env, path, { token: tokens.read })).status, 200, path);
+  }
+  for (const path of ['/on', '/off', '/sunset']) {
+    const res = await call(env, path, { token: tokens.read });
+    assert.equal(res.status, 403, path);
+    assert.match((await res.json()).error, /needs control/);
+  }
+  const put = await call(env, '/presets?name=Movie', { token: tokens.read, method: 'PUT', body: { devices: {} } });
+  assert.equal(put.status, 403);
+  assert.equal(controlCalls().length, 0);
+});
+
+test('control tokens switch the lights', async () => {
+  const { env, tokens } = makeEnv();
+  const res = await call(env, '/on', { token: tokens.control });
+  assert.equal(res.status, 200);
+  assert.match(await res.text(), /Lights ON/);
+  assert.equal(controlCalls().length, 1);
+  assert.equal(controlCalls()[0].body.payload.device, 'AA:BB');
+});
+
+test('signed URLs: valid, tampered, expired and under-scoped', async () => {
+  const { env } = makeEnv();
+  const now = Date.now();
+  const signed = await signUrl('https://lights.example.com/on', SECRET, { scope: 'control', expiresIn: 600, now });
+  assert.equal((await call(env, signed)).status, 200);
+
+  const tampered = new URL(signed);
+  tampered.pathname = '/off';
+  assert.equal((await call(env, tampered.toString())).status, 401);
+
+  const expired = await signUrl('https://lights.example.com/on', SECRET, { expiresIn: 60, now: now - 120000 });
+  assert.equal((await call(env, expired)).status, 401);
+
+  const readOnly = await signUrl('https://lights.example.com/off', SECRET, { scope: 'read', now });
+  assert.equal((await call(env, readOnly)).status, 403);
+  assert.equal((await call(env, await signUrl('https://lights.example.com/status', SECRET, { scope: 'read', now }))).status, 200);
+
+  assert.equal(controlCalls().length, 1);
+});
+
+test('429 with Retry-After once a token uses up its minute', async () => {
+  const { env, tokens } = makeEnv();
+  let res;
+  for (let i = 0; i < 61; i++) res = await call(env, '/presets', { token: tokens.read });
+  assert.equal(res.status, 429);
+  const retryAfter = Number(res.headers.get('Retry-After'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60);
+  assert.equal((await res.json()).retryAfter, retryAfter);
+});
+
+test('CORS headers only for the configured origin', async () => {
+  const { env, tokens } = makeEnv();
+  assert.equal((await call(env, '/presets', { token: tokens.read })).headers.get('Access-Control-Allow-Origin'), null);
+  const withOrigin = await call({ ...env, CORS_ORIGIN: 'https://dash.example.com' }, '/presets', { token: tokens.read });
+  assert.equal(withOrigin.headers.get('Access-Control-Allow-Origin'), 'https://dash.example.com');
+});
+
+test('/schedule rejects dates that are not YYYY-MM-DD', async () => {
+  const { env, tokens } = makeEnv();
+  for (const date of ['tomorrow', '2026-02-30', '2026-1-5']) {
+    const res = await call(env, `/schedule?date=${date}`, { token: tokens.read });
+    assert.equal(res.status, 400, date);
+  }
+  const ok = await call(env, '/schedule?date=2026-03-01', { token: tokens.read });
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).date, '2026-03-01');
+});
+
+test('broken SCHEDULE_RULES is reported as a config error', async () => {
+  const rule = { id: 'evening', at: 'sunset', action: { power: 'on' } };
+  for (const [rules, message] of [
+    ['[{"id": "evening"', /SCHEDULE_RULES is not valid JSON/],
+    [JSON.stringify({ rules: [rule] }), /Rules must be a list/],
+    [JSON.stringify([rule, { ...rule, at: '22:00' }]), /Duplicate rule id: evening/]
+  ]) {
+    const { env, tokens } = makeEnv({ SCHEDULE_RULES: rules });
+    for (const [path, token] of [['/schedule', tokens.read], ['/simulate', tokens.read], ['/sunset', tokens.control]]) {
+      const res = await call(env, path, { token });
+      assert.equal(res.status, 500, `${path} with ${rules}`);
+      const body = await res.json();
+      assert.equal(body.kind, 'config');
+      assert.match(body.error, message);
+    }
+  }
+  assert.equal(controlCalls().length, 0);
+});
+
+test('POST /simulate rejects rules with duplicate ids', async () => {
+  const { env, tokens } = makeEnv();
+  const rule = { id: 'evening', at: 'sunset', action: { power: 'on' } };
+  const res = await call(env, '/simulate?from=2026-03-01', { token: tokens.read, method: 'POST', body: { rules: [rule, rule] } });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /Duplicate rule id/);
+});
+
+test('/simulate caps the range and leaves fade steps out unless asked for', async () => {
+  const { env, tokens } = makeEnv({
+    SCHEDULE_RULES: JSON.stringify([{ id: 'dusk', at: 'sunset', action: { fade: { minutes: 10, brightness: 80 } } }])
+  });
+  const tooLong = await call(env, '/simulate?from=2026-01-01&to=2026-03-01', { token: tokens.read });
+  assert.equal(tooLong.status, 400);
+  assert.match((await tooLong.json()).error, /at most 31 days/);
+
+  const summary = await (await call(env, '/simulate?from=2026-03-01', { token: tokens.read })).json();
+  assert.deepEqual(summary.runs.map(r => r.kind), ['rule']);
+  assert.ok(summary.fadeSteps >= 9, `fadeSteps ${summary.fadeSteps}`);
+
+  const full = await (await call(env, '/simulate?from=2026-03-01&fades=1', { token: tokens.read })).json();
+  assert.equal(full.runs.filter(r => r.kind === 'fade').length, summary.fadeSteps);
+  assert.equal(full.fadeSteps, undefined);
+  assert.equal(controlCalls().length, 0);
+});
+
+// 12:00 in Denver (config.js LOCATION) on 2026-03-01 is 19:00 UTC
+const NOON_RULE = JSON.stringify([{ id: 'noon', at: '12:00', action: { power: 'on' } }]);
+const tick = (env, time) => worker.scheduled({ scheduledTime: Date.parse(time) }, env);
+
+test('rules run once per day across ticks sharing a store', async () => {
+  const env = { GOVEE_API_KEY: 'test-key', SCHEDULE_RULES: NOON_RULE, LIGHTS_KV: new MemoryKV() };
+  await tick(env, '2026-03-01T19:01:00Z');
+  await tick(env, '2026-03-01T19:05:00Z');
+  assert.equal(controlCalls().length, 1);
+
+  // A fresh store (an in-memory ledger after an isolate restart) runs it again inside the
+  // catch-up window, which is why the cron won't run without LIGHTS_KV
+  await tick({ ...env, LIGHTS_KV: new MemoryKV() }, '2026-03-01T19:30:00Z');
+  assert.equal(controlCalls().length, 2);
+});
+
+test('the cron refuses to run without LIGHTS_KV and sends a config alert', async () => {
+  const env = {
+    GOVEE_API_KEY: 'test-key',
+    SCHEDULE_RULES: NOON_RULE,
+    ALERT_WEBHOOKS: JSON.stringify([{ type: 'json', url: 'https://alerts.example.com/hook' }])
+  };
+  await tick(env, '2026-03-01T19:01:00Z');
+  assert.equal(controlCalls().length, 0);
+  const alerts = goveeCalls.filter(c => c.path === '/hook');
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].body.type, 'config');
+  assert.match(alerts[0].body.message, /LIGHTS_KV/);
+
+  // Local dev can opt in to the in-memory store
+  await tick({ ...env, ALLOW_MEMORY_KV: 'true' }, '2026-03-01T19:02:00Z');
+  assert.equal(controlCalls().length, 1);
+});
+
+test('/sunset turns the lights on once a day, sharing the sunset-on rule\'s ledger entry', async () => {
+  // Sunset in Denver on 2026-03-01 is at 17:53 MST (00:53 UTC the next day)
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-02T00:54:00Z') });
+  try {
+    const { env, tokens } = makeEnv({
+      LIGHTS_KV: new MemoryKV(),
+      SCHEDULE_RULES: JSON.stringify([{ id: 'sunset-on', at: 'sunset', action: { power: 'on' } }])
+    });
+    const first = await (await call(env, '/sunset', { token: tokens.control })).json();
+    assert.equal(first.triggered, true);
+    assert.equal(controlCalls().length, 1);
+
+    const again = await (await call(env, '/sunset', { token: tokens.control })).json();
+    assert.equal(again.triggered, false);
+    assert.equal(again.alreadyRan, true);
+    assert.equal(again.ran.source, 'endpoint');
+
+    await tick(env, '2026-03-02T00:55:00Z');
+    assert.equal(controlCalls().length, 1);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('broken rules on the cron are recorded and alerted once, not thrown every tick', async () => {
+  const { env, tokens } = makeEnv({
+    LIGHTS_KV: new MemoryKV(),
+    SCHEDULE_RULES: '[{"id": "noon"',
+    ALERT_WEBHOOKS: JSON.stringify([{ type: 'json', url: 'https://alerts.example.com/hook' }])
+  });
+  const now = Date.now();
+  await tick(env, new Date(now - 60000).toISOString());
+  await tick(env, new Date(now).toISOString());
+
+  const alerts = goveeCalls.filter(c => c.path === '/hook');
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].body.type, 'config');
+  assert.match(alerts[0].body.message, /SCHEDULE_RULES is not valid JSON/);
+
+  const { entries } = await (await call(env, '/history?kind=config&days=1', { token: tokens.read })).json();
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].ok, false);
+  assert.match(entries[0].error, /SCHEDULE_RULES/);
+});
+
+test('the rate limit counter fails open when its storage throws', async () => {
+  const { env, tokens } = makeEnv();
+  const errors = [];
+  const realError = console.error;
+  globalThis.caches = { default: { match: async () => { throw new Error('cache unavailable'); } } };
+  console.error = message => errors.push(message);
+  try {
+    const res = await call(env, '/presets', { token: tokens.read });
+    assert.equal(res.status, 200);
+    assert.match(errors.join('\n'), /Rate limit check failed/);
+  } finally {
+    delete globalThis.caches;
+    console.error = realError;
+  }
+});
+
+test('a signed URL only works for the method it was signed for', async () => {
+  const { env } = makeEnv();
+  const url = 'https://lights.example.com/presets?name=Movie';
+  const signedGet = await signUrl(url, SECRET);
+  assert.equal((await call(env, signedGet)).status, 200);
+  assert.equal((await call(env, signedGet, { method: 'DELETE' })).status, 401);
+  assert.equal((await call(env, signedGet, { method: 'PUT', body: { devices: {} } })).status, 401);
+
+  const signedDelete = await signUrl(url, SECRET, { method: 'DELETE' });
+  assert.equal((await call(env, signedDelete, { method: 'DELETE' })).status, 204);
+  assert.equal((await call(env, signedDelete)).status, 401);
+});
+
+test('CORS preflight allows the dashboard\'s JSON writes', async () => {
+  const env = { CORS_ORIGIN: 'https://dash.example.com' };
+  const res = await worker.fetch(new Request('https://lights.example.com/presets?name=Movie', {
+    method: 'OPTIONS',
+    headers: {
+      Origin: 'https://dash.example.com',
+      'Access-Control-Request-Method': 'PUT',
+      'Access-Control-Request-Headers': 'authorization, content-type'
+    }
+  }), env);
+  assert.equal(res.status, 204);
+  assert.equal(res.headers.get('Access-Control-Allow-Origin'), 'https://dash.example.com');
+  const methods = res.headers.get('Access-Control-Allow-Methods').split(/,\s*/);
+  for (const method of ['GET', 'POST', 'PUT', 'DELETE']) assert.ok(methods.includes(method), method);
+  const headers = res.headers.get('Access-Control-Allow-Headers').toLowerCase().split(/,\s*/);
+  assert.ok(headers.includes('authorization') && headers.includes('content-type'));
+
+  // Without CORS_ORIGIN nothing is allowed cross-origin
+  const off = await worker.fetch(new Request('https://lights.example.com/presets', { method: 'OPTIONS' }), {});
+  assert.equal(off.headers.get('Access-Control-Allow-Methods'), null);
+});
+
+test('/history rejects a days value that is not a positive number', async () => {
+  const { env, tokens } = makeEnv();
+  for (const days of ['abc', '-5']) {
+    assert.equal((await call(env, `/history?days=${days}`, { token: tokens.read })).status, 400, days);
+  }
+  assert.equal((await call(env, '/history?days=3650', { token: tokens.read })).status, 200);
+});
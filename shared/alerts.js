@@ -0,0 +1,174 @@
+// Failure alerts. Sent to webhooks when an automation doesn't fully succeed, when there's
+// no sunset to turn the lights on at, when a device goes offline, and when the schedule
+// can't run at all because of broken configuration. Sinks:
+//
+//   { type: 'json', url, headers? }   -> POST the alert object as JSON
+//   { type: 'ntfy', url, token? }     -> ntfy-style push: url is the topic, e.g. https://ntfy.sh/my-lights
+//   { type: 'slack', url }            -> Slack-compatible { text } (Slack, Mattermost, Discord's /slack)
+//
+// Add `events: ['failure', 'offline']` to a sink to only get some alert types.
+// An alert is sent once per dedupe window for its key (e.g. the devices that failed), so
+// one bad night doesn't send an alert per rule and cron tick.
+
+const PREFIX = 'alert:';
+
+export const ALERT_TYPES = ['failure', 'partial', 'sunset', 'offline', 'config'];
+export const ALERT_DEDUPE_MINUTES = 360;
+
+const SINK_TYPES = ['json', 'ntfy', 'slack'];
+
+// Sink list from config: a JSON string (env var) or an array
+export function parseAlertSinks(value) {
+  if (!value) return [];
+  const sinks = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(sinks)) throw new Error('Alert sinks must be a list');
+  for (const sink of sinks) {
+    if (!SINK_TYPES.includes(sink.type)) throw new Error(`Alert sink type must be one of: ${SINK_TYPES.join(', ')}`);
+    if (!/^https?:\/\//.test(sink.url || '')) throw new Error(`Alert sink needs an http(s) url: ${JSON.stringify(sink)}`);
+    const unknown = (sink.events || []).filter(e => !ALERT_TYPES.includes(e));
+    if (unknown.length > 0) throw new Error(`Unknown alert events: ${unknown.join(', ')}`);
+  }
+  return sinks;
+}
+
+const describeResult = r => `${r.name || r.device || 'all devices'} (${r.kind || r.error || 'error'})`;
+
+function describeRun(entry) {
+  const action = typeof entry.action === 'string' ? entry.action : JSON.stringify(entry.action);
+  const what = entry.ruleId ? `Rule ${entry.ruleId}` : `${entry.kind} ${action}`;
+  return entry.target ? `${what} (${entry.target})` : what;
+}
+
+/**
+ * Alerts for one run (a history entry: { kind, ruleId?, action, target, ok, results }):
+ * a failure or partial-failure alert when it didn't fully succeed, plus an offline alert
+ * for each device that failed because it's offline. Empty when everything worked.
+ * The dedupe key is the set of failed devices rather than the rule, so several rules
+ * failing on the same dead device alert once.
+ */
+export function runAlerts(entry) {
+  if (entry.ok) return [];
+  // One result per device (a run sends several commands); a device failed if any did
+  const byDevice = new Map();
+  for (const r of entry.results || []) {
+    const key = r.device || '*';
+    if (!byDevice.has(key) || !r.success) byDevice.set(key, r);
+  }
+  const results = [...byDevice.values()];
+  const failed = results.filter(r => !r.success);
+  const type = failed.length === results.length ? 'failure' : 'partial';
+
+  const alerts = [{
+    type,
+    key: `${type}:${failed.map(r => r.device || '*').sort().join(',')}`,
+    title: `Lights: ${describeRun(entry)} ${type === 'failure' ? 'failed' : 'partly failed'}`,
+    message: `${results.length - failed.length}/${results.length} devices OK. Failed: ${failed.map(describeResult).join(', ') || 'no devices found'}`,
+    details: entry
+  }];
+  for (const r of failed.filter(r => r.kind === 'offline' && r.device)) {
+    alerts.push(offlineAlert({ device: r.device, deviceName: r.name }));
+  }
+  return alerts;
+}
+
+export function offlineAlert(device) {
+  return {
+    type: 'offline',
+    key: `offline:${device.device}`,
+    title: `Lights: ${device.deviceName || device.device} is offline`,
+    message: `${device.deviceName || device.device} (${device.device}) stopped responding to Govee.`,
+    details: { device: device.device, name: device.deviceName || null }
+  };
+}
+
+// No sunset could be worked out for a local date (polar day/night, bad location, ...)
+export function sunsetAlert(date, reason) {
+  return {
+    type: 'sunset',
+    key: `sunset:${date}`,
+    title: `Lights: no sunset for ${date}`,
+    message: `The sunset lights didn't run: ${reason}`,
+    details: { date, reason }
+  };
+}
+
+// The schedule can't run (missing storage, rules that don't parse, ...); keyed by the
+// reason so every tick hitting the same problem alerts once
+export function configAlert(reason) {
+  return {
+    type: 'config',
+    key: `config:${reason}`,
+    title: 'Lights: the schedule is not running',
+    message: reason,
+    details: { reason }
+  };
+}
+
+// The request for one sink
+function webhookRequest(sink, alert) {
+  if (sink.type === 'ntfy') {
+    return {
+      headers: {
+        Title: alert.title,
+        Priority: alert.type === 'partial' ? 'default' : 'high',
+        Tags: alert.type === 'offline' ? 'electric_plug' : 'warning',
+        ...(sink.token && { Authorization: `Bearer ${sink.token}` })
+      },
+      body: alert.message
+    };
+  }
+  const payload = sink.type === 'slack' ? { text: `*${alert.title}*\n${alert.message}` } : alert;
+  return {
+    headers: { 'Content-Type': 'application/json', ...sink.headers },
+    body: JSON.stringify(payload)
+  };
+}
+
+/**
+ * Sends alerts to every sink that wants their type. `kv` (Workers KV or the same API)
+ * remembers what was sent for `dedupeMinutes`; an alert no sink took isn't remembered, so
+ * the next run tries again. notify() never throws: a broken webhook is logged and
+ * shouldn't stop the automation that raised the alert.
+ */
+export function createAlerter({ sinks = [], kv, dedupeMinutes = ALERT_DEDUPE_MINUTES, log = console }) {
+  // True if the sink accepted the alert
+  async function send(sink, alert) {
+    try {
+      const res = await fetch(sink.url, { method: 'POST', ...webhookRequest(sink, alert) });
+      if (!res.ok) log.error(`Alert to ${sink.type} webhook failed: HTTP ${res.status}`);
+      return res.ok;
+    } catch (err) {
+      log.error(`Alert to ${sink.type} webhook failed: ${err.message}`);
+      return false;
+    }
+  }
+
+  return {
+    // Send one alert unless the same key went out within the dedupe window; true if a sink took it
+    async notify(alert) {
+      const targets = sinks.filter(sink => !sink.events || sink.events.includes(alert.type));
+      if (targets.length === 0) return false;
+      try {
+        if (await kv.get(PREFIX + alert.key)) {
+          log.log(`Alert ${alert.key} already sent, skipping`);
+          return false;
+        }
+      } catch (err) {
+        log.error(`Alert dedupe failed (${alert.key}): ${err.message}`);
+      }
+      const at = new Date().toISOString();
+      const sent = await Promise.all(targets.map(sink => send(sink, { ...alert, at })));
+      if (!sent.includes(true)) return false;
+      try {
+        await kv.put(PREFIX + alert.key, at, { expirationTtl: dedupeMinutes * 60 });
+      } catch (err) {
+        log.error(`Alert dedupe failed (${alert.key}): ${err.message}`);
+      }
+      return true;
+    },
+
+    async notifyAll(alerts) {
+      for (const alert of alerts) await this.notify(alert);
+    }
+  };
+}
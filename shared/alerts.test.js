@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAlerter, offlineAlert } from './alerts.js';
+import { MemoryKV } from './kv.js';
+
+const realFetch = globalThis.fetch;
+const quiet = { log() {}, error() {} };
+const alert = offlineAlert({ device: 'AB:CD', deviceName: 'Lamp' });
+let responses;
+let posted;
+
+beforeEach(() => {
+  responses = [];
+  posted = [];
+  globalThis.fetch = async url => {
+    posted.push(url);
+    const status = responses.shift() ?? 200;
+    if (status === 'down') throw new Error('connect ECONNREFUSED');
+    return new Response(null, { status });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const alerter = (sinks = [{ type: 'json', url: 'https://alerts.example.com/a' }]) =>
+  createAlerter({ sinks, kv: new MemoryKV(), log: quiet });
+
+test('an alert that was delivered is not sent again within the dedupe window', async () => {
+  const alerts = alerter();
+  assert.equal(await alerts.notify(alert), true);
+  assert.equal(await alerts.notify(alert), false);
+  assert.equal(posted.length, 1);
+});
+
+test('an alert no sink accepted is tried again on the next notify', async () => {
+  const alerts = alerter();
+  responses = [503, 'down'];
+  assert.equal(await alerts.notify(alert), false);
+  assert.equal(await alerts.notify(alert), false);
+  assert.equal(await alerts.notify(alert), true);
+  assert.equal(await alerts.notify(alert), false);
+  assert.equal(posted.length, 3);
+});
+
+test('one sink accepting the alert is enough to dedupe it', async () => {
+  const alerts = alerter([
+    { type: 'json', url: 'https://alerts.example.com/a' },
+    { type: 'slack', url: 'https://alerts.example.com/b' }
+  ]);
+  responses = [500, 200];
+  assert.equal(await alerts.notify(alert), true);
+  assert.equal(await alerts.notify(alert), false);
+  assert.equal(posted.length, 2);
+});
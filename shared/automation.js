@@ -0,0 +1,275 @@
+// Runs schedule rules and their actions: power, brightness, color temperature, fades and presets.
+// Used by the cron worker and by the web UI server's local scheduler; each supplies its
+// own store (Workers KV or a file), Govee client and where rules/groups/presets come from.
+
+import { capability, describeCapability, fitCapability, withRetry } from './govee.js';
+import { dueRules } from './schedule.js';
+import { createLedger } from './ledger.js';
+import { createFade, fadeLevel } from './fade.js';
+import { describeTarget, selectDevices, targetFrom } from './groups.js';
+import { lookCommands } from './presets.js';
+import { runAlerts } from './alerts.js';
+
+// Store key holding the list of fades in progress
+const FADES_KEY = 'fades';
+
+/**
+ * @param {object} options
+ * @param {object} options.store - KV-like store (get/put/delete/list)
+ * @param {object} options.client - { listDevices(), control(device, capability) }
+ * @param {object} options.location - { lat, lng, timezone }
+ * @param {number} options.catchUpMinutes - how late a missed trigger may still run
+ * @param {() => Promise<object[]>} options.getRules
+ * @param {() => Promise<object>} [options.getGroups]
+ * @param {(name: string) => Promise<object|null>} [options.findPreset]
+ * @param {object} [options.retry] - overrides for the shared retry policy
+ * @param {object} [options.history] - run history (see history.js) that rule runs are recorded in
+ * @param {string} [options.source] - who is running the rules, for the history: 'cron', 'schedule', ...
+ * @param {object} [options.alerts] - alerter (see alerts.js) told about rule runs that didn't fully succeed
+ * @param {() => Date} [options.clock] - current time when a caller doesn't pass one (simulations replace it)
+ * @param {object} [options.log] - console-like logger
+ */
+export function createAutomation({
+  store,
+  client,
+  location,
+  catchUpMinutes,
+  getRules,
+  getGroups = async () => ({}),
+  findPreset = async () => null,
+  retry = {},
+  history = null,
+  source = 'automation',
+  alerts = null,
+  clock = () => new Date(),
+  log = console
+}) {
+  const ledger = createLedger(store, { clock });
+
+  async function targetDevices(target) {
+    const devices = await withRetry(() => client.listDevices(), retry);
+    return selectDevices(devices, target, await getGroups());
+  }
+
+  // Send one capability to every targeted device, each device retried on its own and
+  // clamped to that device's advertised range. Devices without the capability are skipped.
+  // Returns per-device results: { device, name, action, success, skipped?, error?, kind? }
+  async function controlAll(cap, target = {}, policy = {}) {
+    const devices = await targetDevices(target);
+    log.log(`Found ${devices.length} devices (${describeTarget(target)})`);
+
+    return Promise.all(devices.map(async (device) => {
+      const fitted = fitCapability(device, cap);
+      if (!fitted) {
+        log.log(`${describeCapability(cap)}: ${device.deviceName} - skipped (not supported)`);
+        return { device: device.device, name: device.deviceName, action: describeCapability(cap), success: true, skipped: true };
+      }
+      try {
+        await withRetry(() => client.control(device, fitted), {
+          ...retry,
+          ...policy,
+          onRetry: (err, attempt, delay) => log.log(`${device.deviceName}: ${err.kind} on attempt ${attempt}, retrying in ${delay}ms`)
+        });
+        log.log(`${describeCapability(cap)}: ${device.deviceName} - OK`);
+        return { device: device.device, name: device.deviceName, action: describeCapability(cap), success: true };
+      } catch (err) {
+        log.error(`${describeCapability(cap)}: ${device.deviceName} - FAILED (${err.kind || 'error'}: ${err.message})`);
+        return { device: device.device, name: device.deviceName, action: describeCapability(cap), success: false, error: err.message, kind: err.kind || null };
+      }
+    }));
+  }
+
+  // Like controlAll, but returns true only if every device succeeded. Per-device results
+  // are appended to `report` when given (the same goes for the functions below).
+  async function setAll(cap, target = {}, policy = {}, report = []) {
+    try {
+      const results = await controlAll(cap, target, policy);
+      report.push(...results);
+      const failed = results.filter(r => !r.success);
+      if (failed.length > 0) {
+        log.error(`${describeCapability(cap)} failed on ${failed.map(r => r.name).join(', ')}`);
+      }
+      return failed.length === 0;
+    } catch (err) {
+      log.error(`${describeCapability(cap)} failed: ${err.message}`);
+      report.push({ device: null, name: null, action: describeCapability(cap), success: false, error: err.message, kind: err.kind || null });
+      return false;
+    }
+  }
+
+  // Restore each device's saved look; devices in parallel, each device's commands in order
+  async function applyPreset(name, target = {}, report = []) {
+    const preset = await findPreset(name);
+    if (!preset) {
+      log.error(`Unknown preset: ${name}`);
+      report.push({ device: null, name: null, action: `preset ${name}`, success: false, error: `Unknown preset: ${name}`, kind: 'invalid' });
+      return false;
+    }
+
+    try {
+      const devices = (await targetDevices(target)).filter(d => preset.devices[d.device]);
+      log.log(`Applying preset ${preset.name} to ${devices.length} devices (${describeTarget(target)})`);
+
+      const results = await Promise.all(devices.map(async (device) => {
+        const result = { device: device.device, name: device.deviceName, action: `preset ${preset.name}` };
+        try {
+          // A saved look only holds what the device reported, but skip anything it can't take
+          for (const cap of lookCommands(preset.devices[device.device]).map(c => fitCapability(device, c)).filter(Boolean)) {
+            await withRetry(() => client.control(device, cap), retry);
+          }
+          return { ...result, success: true };
+        } catch (err) {
+          log.error(`Preset ${preset.name}: ${device.deviceName} - FAILED (${err.kind || 'error'}: ${err.message})`);
+          return { ...result, success: false, error: err.message, kind: err.kind || null };
+        }
+      }));
+      report.push(...results);
+      return results.every(r => r.success);
+    } catch (err) {
+      log.error(`Preset ${preset.name} failed: ${err.message}`);
+      report.push({ device: null, name: null, action: `preset ${preset.name}`, success: false, error: err.message, kind: err.kind || null });
+      return false;
+    }
+  }
+
+  // Set the fade's starting level, switch on, and register it so later ticks ramp it up
+  async function startFade(options, target, now, report = []) {
+    const fade = { ...createFade(options, now), target };
+    const level = fadeLevel(fade, now);
+    log.log(`Fade start (${describeTarget(target)}): ${fade.fromBrightness}% -> ${fade.brightness}% over ${fade.minutes} min`);
+
+    let ok = await setAll(capability.brightness(level.brightness), target, {}, report);
+    if (level.kelvin !== null) {
+      ok = await setAll(capability.colorTemperature(level.kelvin), target, {}, report) && ok;
+    }
+    ok = await setAll(capability.power(true), target, {}, report) && ok;
+
+    const fades = await store.get(FADES_KEY, 'json') || [];
+    await store.put(FADES_KEY, JSON.stringify([...fades, fade]));
+    return ok;
+  }
+
+  // Called on every tick: push each running fade to its current level, drop finished ones.
+  // Levels come from the clock, not a step counter, so missed ticks just mean a bigger step.
+  // Returns how many fades are still running.
+  async function advanceFades(now) {
+    const fades = await store.get(FADES_KEY, 'json') || [];
+    if (fades.length === 0) return 0;
+
+    const running = [];
+    for (const fade of fades) {
+      const level = fadeLevel(fade, now);
+      log.log(`Fade ${Math.round(level.progress * 100)}%: brightness ${level.brightness}%${level.kelvin !== null ? `, ${level.kelvin}K` : ''}`);
+      // No retries: the next tick sends a fresher level anyway
+      await setAll(capability.brightness(level.brightness), fade.target, { attempts: 1 });
+      if (level.kelvin !== null) {
+        await setAll(capability.colorTemperature(level.kelvin), fade.target, { attempts: 1 });
+      }
+      if (!level.done) running.push(fade);
+    }
+
+    if (running.length !== fades.length) {
+      await store.put(FADES_KEY, JSON.stringify(running));
+    }
+    return running.length;
+  }
+
+  // Turning lights off stops every fade that includes any of them, so the next tick doesn't
+  // switch them back on: an off for one group also stops an all-devices fade. If the device
+  // list can't be read, every fade is stopped rather than risk one undoing the off.
+  async function cancelFades(target = {}) {
+    const fades = await store.get(FADES_KEY, 'json') || [];
+    if (fades.length === 0) return;
+    let running = [];
+    try {
+      const [devices, groups] = await Promise.all([withRetry(() => client.listDevices(), retry), getGroups()]);
+      const off = new Set(selectDevices(devices, target, groups).map(d => d.device));
+      running = fades.filter(f => !selectDevices(devices, f.target, groups).some(d => off.has(d.device)));
+    } catch (err) {
+      log.error(`Couldn't match fades to devices, stopping them all: ${err.message}`);
+    }
+    if (running.length !== fades.length) {
+      await store.put(FADES_KEY, JSON.stringify(running));
+    }
+  }
+
+  // Returns true when every step succeeded on every targeted device
+  async function runAction(action, target = {}, now = clock(), report = []) {
+    if (action.power === 'off') {
+      await cancelFades(target);
+      return setAll(capability.power(false), target, {}, report);
+    }
+    if (action.preset) {
+      return applyPreset(action.preset, target, report);
+    }
+    if (action.fade) {
+      return startFade(action.fade, target, now, report);
+    }
+    let ok = true;
+    if (action.power === 'on') {
+      ok = await setAll(capability.power(true), target, {}, report);
+    }
+    if (action.brightness !== undefined) {
+      ok = await setAll(capability.brightness(action.brightness), target, {}, report) && ok;
+    }
+    if (action.colorTemperature !== undefined) {
+      ok = await setAll(capability.colorTemperature(action.colorTemperature), target, {}, report) && ok;
+    }
+    return ok;
+  }
+
+  // Fire every rule whose trigger has passed within the catch-up window and that hasn't
+  // run yet for its local date. A dropped tick is picked up by the next one. The ledger
+  // entry is claimed before the action runs, so a tick that starts while a slow run is
+  // still retrying sees it and skips. Each run goes into the history with its
+  // per-device results, and raises alerts if it didn't fully succeed. Returns the ledger
+  // entries written.
+  async function runDueRules(now) {
+    const due = dueRules(await getRules(), now, { location, windowMinutes: catchUpMinutes });
+    const ran = [];
+
+    for (const { rule, date, at } of due) {
+      if (!await ledger.claim(rule.id, date, { scheduledFor: at.toISOString() })) continue;
+
+      const lateMinutes = Math.round((now - at) / 60000);
+      log.log(`Rule ${rule.id} for ${date} due at ${at.toISOString()} (${lateMinutes} min late)`);
+      const results = [];
+      const target = targetFrom(rule);
+      let ok = false;
+      try {
+        ok = await runAction(rule.action, target, now, results);
+      } finally {
+        ran.push(await ledger.record(rule.id, date, { scheduledFor: at.toISOString(), ok }));
+      }
+
+      const entry = {
+        at: now.toISOString(),
+        source,
+        kind: 'rule',
+        ruleId: rule.id,
+        trigger: rule.at,
+        action: rule.action,
+        target: describeTarget(target),
+        scheduledFor: at.toISOString(),
+        lateMinutes,
+        ok,
+        results
+      };
+      try {
+        await history?.record(entry);
+      } catch (err) {
+        log.error(`Failed to record rule ${rule.id} in history: ${err.message}`);
+      }
+      await alerts?.notifyAll(runAlerts(entry));
+    }
+    return ran;
+  }
+
+  // One scheduler tick: step running fades, then fire due rules
+  async function tick(now) {
+    await advanceFades(now);
+    return runDueRules(now);
+  }
+
+  return { ledger, controlAll, setAll, applyPreset, runAction, cancelFades, advanceFades, runDueRules, tick };
+}
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAutomation } from './automation.js';
+import { MemoryKV } from './kv.js';
+
+const DEVICES = [
+  { device: 'A', sku: 'H1', deviceName: 'Porch', capabilities: [] },
+  { device: 'B', sku: 'H1', deviceName: 'Desk', capabilities: [] },
+  { device: 'C', sku: 'H1', deviceName: 'Hall', capabilities: [] }
+];
+const GROUPS = { porch: { devices: ['A'] }, inside: { devices: ['B', 'C'] } };
+const quiet = { log() {}, error() {} };
+
+// Automation over a fake client; `sent` collects [deviceId, instance, value]
+function setup({ listDevices = async () => DEVICES } = {}) {
+  const sent = [];
+  const store = new MemoryKV();
+  const automation = createAutomation({
+    store,
+    client: {
+      listDevices,
+      control: async (device, cap) => { sent.push([device.device, cap.instance, cap.value]); }
+    },
+    location: { lat: 39.74, lng: -104.99, timezone: 'America/Denver' },
+    catchUpMinutes: 120,
+    getRules: async () => [],
+    getGroups: async () => GROUPS,
+    retry: { attempts: 1 },
+    log: quiet
+  });
+  return { automation, store, sent };
+}
+
+const fades = async store => (await store.get('fades', 'json')) || [];
+const start = new Date('2026-03-01T19:00:00Z');
+const later = new Date('2026-03-01T19:05:00Z');
+
+test('an off for one group stops an all-devices fade', async () => {
+  const { automation, store, sent } = setup();
+  await automation.runAction({ fade: { minutes: 30, brightness: 80 } }, {}, start);
+  await automation.runAction({ power: 'off' }, { group: 'porch' }, start);
+  assert.deepEqual(await fades(store), []);
+
+  sent.length = 0;
+  await automation.advanceFades(later);
+  assert.deepEqual(sent, []);
+});
+
+test('an off for a device stops overlapping fades and leaves the others running', async () => {
+  const { automation, store } = setup();
+  await automation.runAction({ fade: true }, { group: 'porch' }, start);
+  await automation.runAction({ fade: true }, { group: 'inside' }, start);
+  await automation.runAction({ power: 'off' }, { device: 'Desk' }, start);
+  assert.deepEqual((await fades(store)).map(f => f.target), [{ group: 'porch' }]);
+});
+
+test('fades are all stopped when the device list can\'t be read', async () => {
+  let fail = false;
+  const { automation, store } = setup({
+    listDevices: async () => {
+      if (fail) throw new Error('Govee is down');
+      return DEVICES;
+    }
+  });
+  await automation.runAction({ fade: true }, { group: 'inside' }, start);
+  fail = true;
+  await automation.cancelFades({ group: 'porch' });
+  assert.deepEqual(await fades(store), []);
+});
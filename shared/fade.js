@@ -0,0 +1,38 @@
+// Gradual fade-in: brightness ramps from a dim start to a target while color temperature
+// shifts from cool to warm, like natural dusk. A fade is plain data (start time plus
+// settings), so the level at any moment can be recomputed after a restart.
+
+export const FADE_DEFAULTS = {
+  minutes: 30,
+  fromBrightness: 1,
+  brightness: 100,
+  fromKelvin: 6500,
+  toKelvin: 2700
+};
+
+// `options` is a rule's `fade` setting: true for the defaults, or an object overriding them.
+// Set fromKelvin to null to fade brightness only.
+export function createFade(options, startedAt) {
+  const settings = { ...FADE_DEFAULTS, ...(options === true ? {} : options) };
+  const start = new Date(startedAt);
+  return {
+    ...settings,
+    startedAt: start.toISOString(),
+    endsAt: new Date(start.getTime() + settings.minutes * 60000).toISOString()
+  };
+}
+
+// Brightness (percent) and color temperature (Kelvin, or null) at `now`
+export function fadeLevel(fade, now) {
+  const start = Date.parse(fade.startedAt);
+  const duration = Date.parse(fade.endsAt) - start;
+  const progress = duration > 0 ? Math.min(1, Math.max(0, (now.getTime() - start) / duration)) : 1;
+  const lerp = (from, to) => Math.round(from + (to - from) * progress);
+
+  return {
+    progress,
+    done: progress >= 1,
+    brightness: lerp(fade.fromBrightness, fade.brightness),
+    kelvin: fade.fromKelvin == null ? null : lerp(fade.fromKelvin, fade.toKelvin)
+  };
+}
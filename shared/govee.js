@@ -0,0 +1,330 @@
+// Govee OpenAPI v1 client shared by the cron worker, the Express server and the dashboard.
+// Builds request bodies and capability objects in one place, classifies failures and
+// applies one retry/backoff policy.
+
+export const GOVEE_API_BASE = 'https://openapi.api.govee.com/router/api/v1';
+
+export const CAPABILITY_TYPES = {
+  onOff: 'devices.capabilities.on_off',
+  range: 'devices.capabilities.range',
+  colorSetting: 'devices.capabilities.color_setting',
+  segmentColorSetting: 'devices.capabilities.segment_color_setting',
+  dynamicScene: 'devices.capabilities.dynamic_scene',
+  diyColorSetting: 'devices.capabilities.diy_color_setting',
+  musicSetting: 'devices.capabilities.music_setting',
+  online: 'devices.capabilities.online'
+};
+
+export function packRgb([r, g, b]) {
+  return ((r & 255) << 16) + ((g & 255) << 8) + (b & 255);
+}
+
+export function unpackRgb(value) {
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Capability builders for /device/control
+export const capability = {
+  power: on => ({ type: CAPABILITY_TYPES.onOff, instance: 'powerSwitch', value: on ? 1 : 0 }),
+  brightness: percent => ({
+    type: CAPABILITY_TYPES.range,
+    instance: 'brightness',
+    value: Math.min(100, Math.max(1, Math.round(percent)))
+  }),
+  rgb: rgb => ({ type: CAPABILITY_TYPES.colorSetting, instance: 'colorRgb', value: packRgb(rgb) }),
+  colorTemperature: kelvin => ({
+    type: CAPABILITY_TYPES.colorSetting,
+    instance: 'colorTemperatureK',
+    value: Math.round(kelvin)
+  }),
+  // RGBIC devices: paint or dim some segments (0-based indexes) of a strip or lamp
+  segmentColor: (segments, rgb) => ({
+    type: CAPABILITY_TYPES.segmentColorSetting,
+    instance: 'segmentedColorRgb',
+    value: { segment: segments, rgb: packRgb(rgb) }
+  }),
+  segmentBrightness: (segments, percent) => ({
+    type: CAPABILITY_TYPES.segmentColorSetting,
+    instance: 'segmentedBrightness',
+    value: { segment: segments, brightness: Math.min(100, Math.max(0, Math.round(percent))) }
+  }),
+  // `value` is the option value from /device/scenes, not the scene name
+  scene: value => ({ type: CAPABILITY_TYPES.dynamicScene, instance: 'lightScene', value }),
+  // Option values from /device/diy-scenes and from the device's snapshot capability
+  diyScene: value => ({ type: CAPABILITY_TYPES.diyColorSetting, instance: 'diyScene', value }),
+  snapshot: value => ({ type: CAPABILITY_TYPES.dynamicScene, instance: 'snapshot', value }),
+  // `mode` is a musicMode option value; sensitivity 0-100
+  musicMode: (mode, sensitivity = 50, autoColor = true) => ({
+    type: CAPABILITY_TYPES.musicSetting,
+    instance: 'musicMode',
+    value: { musicMode: mode, sensitivity: Math.round(sensitivity), autoColor: autoColor ? 1 : 0 }
+  })
+};
+
+// A capability as advertised in a device's /user/devices entry, or null
+export function findCapability(device, instance) {
+  return device?.capabilities?.find(c => c.instance === instance) || null;
+}
+
+// Used when a device doesn't advertise its color temperature range
+export const KELVIN_RANGE = { min: 2000, max: 9000 };
+
+export function colorTemperatureRange(device) {
+  const range = findCapability(device, 'colorTemperatureK')?.parameters?.range;
+  return range ? { min: range.min, max: range.max } : KELVIN_RANGE;
+}
+
+// Number of addressable segments (0 if the device can't color segments), from the
+// `segment` field's element range in the segmentedColorRgb parameters
+export function segmentCount(device) {
+  const fields = findCapability(device, 'segmentedColorRgb')?.parameters?.fields || [];
+  const segment = fields.find(f => f.fieldName === 'segment');
+  if (!segment) return 0;
+  return segment.elementRange ? segment.elementRange.max - segment.elementRange.min + 1 : segment.size?.max || 0;
+}
+
+/**
+ * segmentedColorRgb commands that paint `colors` ([r, g, b] or null per segment, index =
+ * segment), one command per distinct color so a gradient costs as few calls as possible.
+ */
+export function segmentColorCommands(colors) {
+  const byColor = new Map();
+  colors.forEach((rgb, index) => {
+    if (!rgb) return;
+    const packed = packRgb(rgb);
+    byColor.set(packed, [...(byColor.get(packed) || []), index]);
+  });
+  return [...byColor].map(([packed, segments]) => capability.segmentColor(segments, unpackRgb(packed)));
+}
+
+const clamp = (value, range) => Math.min(range.max, Math.max(range.min, value));
+
+// Clamp numeric capability values (including fields of struct values such as a music
+// mode's sensitivity) into the ranges the device advertises, and drop segment indexes
+// the device doesn't have. Returns null when the device lists its capabilities and this
+// one isn't among them (e.g. color temperature on a white-only plug): callers skip it.
+export function fitCapability(device, cap) {
+  const advertised = findCapability(device, cap.instance);
+  if (!advertised && device?.capabilities?.length) return null;
+  const parameters = advertised?.parameters;
+  if (parameters?.fields && cap.value && typeof cap.value === 'object') {
+    const value = { ...cap.value };
+    for (const field of parameters.fields) {
+      const current = value[field.fieldName];
+      if (Array.isArray(current) && field.elementRange) {
+        value[field.fieldName] = current.filter(i => i >= field.elementRange.min && i <= field.elementRange.max);
+      } else if (typeof current === 'number' && field.range) {
+        value[field.fieldName] = clamp(current, field.range);
+      }
+    }
+    return { ...cap, value };
+  }
+  const range = parameters?.range;
+  if (!range || typeof cap.value !== 'number') return cap;
+  return { ...cap, value: clamp(cap.value, range) };
+}
+
+// Options of an enum capability advertised on the device itself (e.g. saved snapshots)
+export function capabilityOptions(device, instance) {
+  return findCapability(device, instance)?.parameters?.options || [];
+}
+
+// Music modes a device offers and its sensitivity range, or null without music mode
+export function musicModeOptions(device) {
+  const fields = findCapability(device, 'musicMode')?.parameters?.fields || [];
+  const modes = fields.find(f => f.fieldName === 'musicMode')?.options || [];
+  if (modes.length === 0) return null;
+  const range = fields.find(f => f.fieldName === 'sensitivity')?.range;
+  return { modes, sensitivity: range ? { min: range.min, max: range.max } : { min: 0, max: 100 } };
+}
+
+// Short human description of a capability for logs, e.g. "ON" or "brightness=40"
+export function describeCapability(cap) {
+  if (cap.instance === 'powerSwitch') return cap.value ? 'ON' : 'OFF';
+  if (cap.instance === 'colorRgb') return `colorRgb=${unpackRgb(cap.value).join(',')}`;
+  if (cap.instance === 'segmentedColorRgb') return `segmentedColorRgb[${cap.value.segment.join(',')}]=${unpackRgb(cap.value.rgb).join(',')}`;
+  if (cap.instance === 'segmentedBrightness') return `segmentedBrightness[${cap.value.segment.join(',')}]=${cap.value.brightness}`;
+  const value = typeof cap.value === 'object' ? JSON.stringify(cap.value) : cap.value;
+  return `${cap.instance}=${value}`;
+}
+
+/**
+ * A failed Govee call. `kind` is one of:
+ * auth, rate_limit, offline, invalid, server, network
+ */
+export class GoveeError extends Error {
+  constructor(message, { kind, status = null, code = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'GoveeError';
+    this.kind = kind;
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return ['rate_limit', 'offline', 'server', 'network'].includes(this.kind);
+  }
+}
+
+// Map an HTTP status / Govee body code and message to an error kind
+export function classifyError(status, code, message = '') {
+  const msg = message.toLowerCase();
+  if (status === 401 || status === 403 || code === 401 || code === 403 || msg.includes('api key')) return 'auth';
+  if (status === 429 || code === 429 || msg.includes('rate limit') || msg.includes('too many')) return 'rate_limit';
+  if (msg.includes('offline') || msg.includes('not online')) return 'offline';
+  if (status >= 500 || code >= 500) return 'server';
+  return 'invalid';
+}
+
+export const RETRY_POLICY = { attempts: 3, baseDelayMs: 2000, maxDelayMs: 30000 };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` until it succeeds, retrying retryable GoveeErrors with exponential backoff
+ * (2s, 4s, ...) or the server's Retry-After. Anything else (a bad key, an invalid command,
+ * a bug in `fn`) is thrown at once.
+ */
+export async function withRetry(fn, policy = {}) {
+  const { attempts, baseDelayMs, maxDelayMs, onRetry } = { ...RETRY_POLICY, ...policy };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (!(err instanceof GoveeError && err.retryable) || attempt >= attempts) throw err;
+      const backoff = err.retryAfter ? err.retryAfter * 1000 : baseDelayMs * 2 ** (attempt - 1);
+      const delay = Math.min(maxDelayMs, backoff);
+      onRetry?.(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Current state from a /device/state response's capabilities array:
+ * { online, power, brightness, color: [r, g, b] | null, colorTemperatureK, scene, values }
+ * `values` has every reported capability's raw value by instance, for generic controls.
+ */
+export function parseState(capabilities = []) {
+  const find = instance => capabilities.find(c => c.instance === instance)?.state?.value;
+  const colorInt = find('colorRgb');
+  const online = find('online');
+  return {
+    online: online === undefined ? null : online === true || online === 1,
+    power: find('powerSwitch') === 1,
+    brightness: find('brightness') ?? null,
+    color: colorInt === null || colorInt === undefined ? null : unpackRgb(colorInt),
+    colorTemperatureK: find('colorTemperatureK') || null,
+    scene: find('lightScene') || null,
+    values: Object.fromEntries(capabilities.filter(c => c.state).map(c => [c.instance, c.state.value]))
+  };
+}
+
+function impliedState(cap) {
+  switch (cap.instance) {
+    case 'powerSwitch': return { power: cap.value === 1 };
+    case 'brightness': return { brightness: cap.value };
+    case 'colorRgb': return { color: unpackRgb(cap.value), colorTemperatureK: null, scene: null };
+    case 'colorTemperatureK': return { colorTemperatureK: cap.value, color: null, scene: null };
+    case 'lightScene': return { scene: cap.value };
+    // Segment colors, DIY scenes, snapshots and music mode aren't reported back as a
+    // lightScene, but each of them ends the one that was running
+    case 'segmentedColorRgb':
+    case 'diyScene':
+    case 'snapshot':
+    case 'musicMode': return { scene: null };
+    default: return {};
+  }
+}
+
+// The state change a successful control call implies, in parseState's shape
+export function stateFromCapability(cap) {
+  return { ...impliedState(cap), values: { [cap.instance]: cap.value } };
+}
+
+/**
+ * Client bound to an API key. `source` tags requestIds (cron, ui, ...) so calls can be
+ * told apart in Govee's logs; `fetch` can be swapped for tests or other runtimes.
+ */
+export function createGoveeClient({ apiKey, baseUrl = GOVEE_API_BASE, source = 'api', fetch = globalThis.fetch }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Govee-API-Key': apiKey
+  };
+
+  async function request(path, body) {
+    let res;
+    try {
+      res = await fetch(`${baseUrl}${path}`, body
+        ? { method: 'POST', headers, body: JSON.stringify(body) }
+        : { headers });
+    } catch (err) {
+      throw new GoveeError(`Network error calling ${path}: ${err.message}`, { kind: 'network' });
+    }
+
+    let data = null;
+    try {
+      data = await res.json();
+    } catch {
+      // Non-JSON body (gateway errors); classified by status below
+    }
+
+    const code = data?.code ?? null;
+    if (!res.ok || (code !== null && code !== 200)) {
+      const message = data?.msg || data?.message || `HTTP ${res.status}`;
+      const retryAfter = parseInt(res.headers.get('Retry-After'), 10) || null;
+      throw new GoveeError(`${path}: ${message}`, {
+        kind: classifyError(res.status, code, message),
+        status: res.status,
+        code,
+        retryAfter
+      });
+    }
+    return data;
+  }
+
+  // Unique per call: commands to one device in the same millisecond (a preset's power and
+  // brightness) or from two worker isolates must not share an ID
+  const requestId = (kind, device) => `${source}-${kind}-${Date.now()}-${crypto.randomUUID().slice(0, 8)}-${device.device}`;
+
+  return {
+    async listDevices() {
+      const data = await request('/user/devices');
+      return data.data || [];
+    },
+
+    async getState(device) {
+      const data = await request('/device/state', {
+        requestId: requestId('state', device),
+        payload: { sku: device.sku, device: device.device }
+      });
+      return data.payload?.capabilities || [];
+    },
+
+    // lightScene options: [{ name, value }]
+    async getScenes(device) {
+      const data = await request('/device/scenes', {
+        requestId: requestId('scenes', device),
+        payload: { sku: device.sku, device: device.device }
+      });
+      return data.payload?.capabilities?.find(c => c.instance === 'lightScene')?.parameters?.options || [];
+    },
+
+    // The user's DIY scenes: [{ name, value }]
+    async getDiyScenes(device) {
+      const data = await request('/device/diy-scenes', {
+        requestId: requestId('diy', device),
+        payload: { sku: device.sku, device: device.device }
+      });
+      return data.payload?.capabilities?.find(c => c.instance === 'diyScene')?.parameters?.options || [];
+    },
+
+    async control(device, cap) {
+      return request('/device/control', {
+        requestId: requestId('control', device),
+        payload: { sku: device.sku, device: device.device, capability: cap }
+      });
+    }
+  };
+}
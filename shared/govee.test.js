@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { capability, createGoveeClient, GoveeError, withRetry } from './govee.js';
+
+const lamp = { device: 'AB:CD:EF:00:11:22:33:44', sku: 'H6008' };
+
+// A client whose fetch answers from `responses` in order ({ status, body, headers } or an Error)
+function fakeClient(responses) {
+  const requests = [];
+  const client = createGoveeClient({
+    apiKey: 'key',
+    source: 'test',
+    fetch: async (url, init = {}) => {
+      requests.push({ url, body: init.body && JSON.parse(init.body) });
+      const next = responses.shift();
+      if (next instanceof Error) throw next;
+      const body = typeof next.body === 'string' ? next.body : JSON.stringify(next.body ?? { code: 200 });
+      return new Response(body, { status: next.status ?? 200, headers: next.headers });
+    }
+  });
+  return { client, requests };
+}
+
+async function errorFor(response) {
+  const { client } = fakeClient([response]);
+  try {
+    await client.control(lamp, capability.power(true));
+  } catch (err) {
+    return err;
+  }
+  assert.fail('control should have failed');
+}
+
+test('failed calls are classified by status, Govee code and message', async () => {
+  for (const [response, kind, retryable] of [
+    [{ status: 401, body: { message: 'Invalid API Key' } }, 'auth', false],
+    [{ status: 200, body: { code: 403, msg: 'forbidden' } }, 'auth', false],
+    [{ status: 429, body: 'Too Many Requests', headers: { 'Retry-After': '7' } }, 'rate_limit', true],
+    [{ status: 200, body: { code: 400, msg: 'devices not online' } }, 'offline', true],
+    [{ status: 502, body: '<html>Bad Gateway</html>' }, 'server', true],
+    [{ status: 400, body: { code: 400, msg: 'Parameter value out of range' } }, 'invalid', false],
+    [new TypeError('fetch failed'), 'network', true]
+  ]) {
+    const err = await errorFor(response);
+    assert.ok(err instanceof GoveeError, String(err));
+    assert.equal(err.kind, kind, err.message);
+    assert.equal(err.retryable, retryable, err.message);
+    if (kind === 'rate_limit') assert.equal(err.retryAfter, 7);
+  }
+});
+
+test('every request gets its own requestId, even for one device in the same millisecond', async () => {
+  const { client, requests } = fakeClient([{}, {}]);
+  await Promise.all([client.control(lamp, capability.power(true)), client.control(lamp, capability.brightness(40))]);
+  const [first, second] = requests.map(r => r.body.requestId);
+  assert.match(first, /^test-control-/);
+  assert.notEqual(first, second);
+});
+
+const fast = { baseDelayMs: 1, maxDelayMs: 1 };
+
+test('withRetry retries retryable Govee errors until the attempts run out', async () => {
+  const { client, requests } = fakeClient([{ status: 503, body: {} }, new TypeError('fetch failed'), {}]);
+  assert.deepEqual(await withRetry(() => client.control(lamp, capability.power(true)), fast), { code: 200 });
+  assert.equal(requests.length, 3);
+
+  const down = fakeClient([{ status: 503, body: {} }, { status: 503, body: {} }, { status: 503, body: {} }, {}]);
+  await assert.rejects(withRetry(() => down.client.listDevices(), fast), { kind: 'server' });
+  assert.equal(down.requests.length, 3);
+});
+
+test('withRetry gives up at once on errors a retry can\'t fix', async () => {
+  const { client, requests } = fakeClient([{ status: 401, body: {} }, {}]);
+  await assert.rejects(withRetry(() => client.listDevices(), fast), { kind: 'auth' });
+  assert.equal(requests.length, 1);
+
+  let calls = 0;
+  await assert.rejects(withRetry(() => {
+    calls++;
+    throw new TypeError('device.capabilities is not iterable');
+  }, fast), TypeError);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,59 @@
+// Named device groups and target selection. A group lists devices by ID, SKU or name:
+//
+//   { porch: { devices: ['AB:CD:EF:12:34:56:78:90'] }, lamps: { skus: ['H6076'] } }
+//
+// A target is { group, device }; both are optional and an empty target means every device.
+// `device` may be a device ID or name, or several separated by commas.
+
+const normalize = s => String(s).trim().toLowerCase();
+
+function findGroup(groups, name) {
+  const key = Object.keys(groups).find(k => normalize(k) === normalize(name));
+  if (!key) throw new Error(`Unknown group: ${name}`);
+  return groups[key];
+}
+
+function matchesDevice(device, ref) {
+  const r = normalize(ref);
+  return normalize(device.device) === r || normalize(device.deviceName || '') === r;
+}
+
+function inGroup(device, group) {
+  return (group.devices || []).some(ref => matchesDevice(device, ref))
+    || (group.skus || []).some(sku => normalize(sku) === normalize(device.sku));
+}
+
+// Throws if the target names a group that isn't defined
+export function validateTarget(target = {}, groups = {}) {
+  if (target.group) findGroup(groups, target.group);
+  return target;
+}
+
+export function selectDevices(devices, target = {}, groups = {}) {
+  let selected = devices;
+  if (target.group) {
+    const group = findGroup(groups, target.group);
+    selected = selected.filter(d => inGroup(d, group));
+  }
+  if (target.device) {
+    const refs = String(target.device).split(',').filter(r => r.trim());
+    selected = selected.filter(d => refs.some(ref => matchesDevice(d, ref)));
+  }
+  return selected;
+}
+
+// Target from query params or a rule ({ group, device }), dropping empty values
+export function targetFrom(source) {
+  const get = key => (typeof source.get === 'function' ? source.get(key) : source[key]) || undefined;
+  const target = {};
+  if (get('group')) target.group = get('group');
+  if (get('device')) target.device = get('device');
+  return target;
+}
+
+export function describeTarget(target = {}) {
+  const parts = [];
+  if (target.group) parts.push(`group ${target.group}`);
+  if (target.device) parts.push(`device ${target.device}`);
+  return parts.length ? parts.join(', ') : 'all devices';
+}
@@ -0,0 +1,106 @@
+// Run history / audit log: what ran, why, and how each device answered.
+// One KV entry per event, keyed by UTC time so a day's events can be listed by prefix:
+//
+//   history:2026-10-19T23:59:36.157Z:k3x9 -> {
+//     at, source: 'cron' | 'endpoint' | 'ui' | 'schedule' | ..., kind: 'rule' | 'control' | 'sunset' | ...,
+//     action: 'ON', target, ok, results: [{ device, name, success, error }], ...details
+//   }
+//
+// `kv` is a Workers KV namespace or anything with the same get/put/list API (see kv.js).
+
+const PREFIX = 'history:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HISTORY_RETENTION_DAYS = 14;
+
+// Every key under `prefix`, following KV's list cursor
+async function listKeys(kv, prefix) {
+  const names = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix, cursor });
+    names.push(...page.keys.map(k => k.name));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return names;
+}
+
+function matches(entry, { source, kind, device, ok }) {
+  if (source && entry.source !== source) return false;
+  if (kind && entry.kind !== kind) return false;
+  if (ok !== undefined && entry.ok !== ok) return false;
+  if (device) {
+    const ref = device.toLowerCase();
+    return (entry.results || []).some(r => r.device?.toLowerCase() === ref || r.name?.toLowerCase() === ref);
+  }
+  return true;
+}
+
+// A positive whole number from a query param, or undefined when it's absent
+function positiveInt(value, name) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value) || Number(value) < 1) throw new Error(`${name} must be a positive whole number`);
+  return Number(value);
+}
+
+// Query options from URL search params: ?days=&from=&to=&source=&kind=&device=&ok=&limit=
+// Throws on a `days` or `limit` that isn't a positive number.
+export function historyQuery(params) {
+  const get = key => params.get(key) || undefined;
+  const ok = get('ok');
+  return {
+    days: positiveInt(get('days'), 'days'),
+    from: get('from'),
+    to: get('to'),
+    source: get('source'),
+    kind: get('kind'),
+    device: get('device'),
+    ok: ok === undefined ? undefined : ok === 'true',
+    limit: positiveInt(get('limit'), 'limit')
+  };
+}
+
+export function createHistory(kv, { retentionDays = HISTORY_RETENTION_DAYS } = {}) {
+  return {
+    async record(entry) {
+      const at = entry.at || new Date().toISOString();
+      const value = { at, ...entry };
+      const id = `${at}:${Math.random().toString(36).slice(2, 6)}`;
+      await kv.put(PREFIX + id, JSON.stringify(value), { expirationTtl: retentionDays * 24 * 60 * 60 });
+      return value;
+    },
+
+    /**
+     * Entries between `from` and `to` (ISO dates or times; default the last `days` days),
+     * newest first, optionally filtered by source, kind, device (ID or name) and ok.
+     * The range is clamped to the retention period, since nothing older is kept and each
+     * day costs a KV list.
+     */
+    async query({ days = 7, from, to, source, kind, device, ok, limit = 200, now = new Date() } = {}) {
+      if (!(days > 0) || !(limit > 0)) throw new Error('days and limit must be positive');
+      const requestedEnd = to ? new Date(to.length === 10 ? `${to}T23:59:59.999Z` : to) : now;
+      const requestedStart = from ? new Date(from) : new Date(requestedEnd.getTime() - days * DAY_MS);
+      if (Number.isNaN(requestedStart.getTime()) || Number.isNaN(requestedEnd.getTime())) throw new Error('Invalid from/to');
+      const end = new Date(Math.min(requestedEnd.getTime(), now.getTime()));
+      const start = new Date(Math.max(requestedStart.getTime(), now.getTime() - retentionDays * DAY_MS));
+      if (start > end) return [];
+
+      // List day by day (newest first) so old days aren't read when the limit is hit early
+      const [startAt, endAt] = [start.toISOString(), end.toISOString()];
+      const entries = [];
+      for (let day = end.getTime(); entries.length < limit; day -= DAY_MS) {
+        const date = new Date(day).toISOString().slice(0, 10);
+        if (date < startAt.slice(0, 10)) break;
+        const names = (await listKeys(kv, PREFIX + date)).reverse();
+        for (const name of names) {
+          const at = name.slice(PREFIX.length, PREFIX.length + 24);
+          if (at < startAt || at > endAt) continue;
+          const entry = await kv.get(name, 'json');
+          if (entry && matches(entry, { source, kind, device, ok })) entries.push(entry);
+          if (entries.length >= limit) break;
+        }
+      }
+      return entries;
+    }
+  };
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory, historyQuery, HISTORY_RETENTION_DAYS } from './history.js';
+import { MemoryKV } from './kv.js';
+
+const query = string => historyQuery(new URLSearchParams(string));
+
+test('days and limit must be positive whole numbers', () => {
+  assert.equal(query('days=3&limit=10').days, 3);
+  assert.equal(query('').days, undefined);
+  for (const bad of ['days=abc', 'days=-1', 'days=0', 'days=2.5', 'limit=many']) {
+    assert.throws(() => query(bad), /must be a positive whole number/, bad);
+  }
+});
+
+test('queries never reach past the retention period or into the future', async () => {
+  const kv = new MemoryKV();
+  const lists = [];
+  const list = kv.list.bind(kv);
+  kv.list = options => {
+    lists.push(options.prefix);
+    return list(options);
+  };
+  const history = createHistory(kv);
+  const now = new Date('2026-10-19T12:00:00Z');
+  await history.record({ at: '2026-10-19T11:00:00.000Z', source: 'ui', kind: 'control', ok: true });
+
+  const entries = await history.query({ days: 3650, now });
+  assert.equal(entries.length, 1);
+  assert.ok(lists.length <= HISTORY_RETENTION_DAYS + 1, `${lists.length} list calls`);
+
+  lists.length = 0;
+  await history.query({ from: '2000-01-01', to: '2100-01-01', now });
+  assert.ok(lists.length <= HISTORY_RETENTION_DAYS + 1, `${lists.length} list calls`);
+
+  assert.deepEqual(await history.query({ from: '2026-01-01', to: '2026-01-31', now }), []);
+});
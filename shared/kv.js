@@ -0,0 +1,43 @@
+// In-memory stand-in for a Workers KV namespace. Implements the subset of the KV API
+// the worker uses (get/put/delete/list with expirationTtl), so the worker runs under
+// `wrangler dev` or plain Node without a KV binding. Nothing survives a restart.
+
+export class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expires && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key, options) {
+    const entry = this.live(key);
+    if (!entry) return null;
+    const type = typeof options === 'string' ? options : options?.type;
+    return type === 'json' ? JSON.parse(entry.value) : entry.value;
+  }
+
+  async put(key, value, options = {}) {
+    const expires = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+    this.entries.set(key, { value: String(value), expires });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.entries.keys()]
+      .filter(name => name.startsWith(prefix) && this.live(name))
+      .sort()
+      .map(name => ({ name }));
+    return { keys, list_complete: true };
+  }
+}
@@ -0,0 +1,46 @@
+// Once-per-day trigger ledger. Records that a rule ran for a local date, so overlapping
+// ticks, retries and catch-up can never fire the same trigger twice. A rule is claimed
+// before its action runs (retries can take longer than a tick) and the entry is
+// completed with the outcome afterwards.
+// `kv` is a Workers KV namespace or anything with the same get/put/list API (see kv.js).
+
+const PREFIX = 'ledger:';
+const TTL_SECONDS = 8 * 24 * 60 * 60;
+
+function key(date, ruleId) {
+  return `${PREFIX}${date}:${ruleId}`;
+}
+
+// `clock` supplies the ranAt time (simulations run on a replayed clock)
+export function createLedger(kv, { clock = () => new Date() } = {}) {
+  return {
+    async get(ruleId, date) {
+      return kv.get(key(date, ruleId), 'json');
+    },
+
+    async hasRun(ruleId, date) {
+      return (await kv.get(key(date, ruleId))) !== null;
+    },
+
+    // Mark a rule as started for a date: { ..., running: true, ok: null } until record().
+    // Returns null without writing if it already has an entry for that date.
+    async claim(ruleId, date, entry) {
+      if (await this.hasRun(ruleId, date)) return null;
+      const value = { ruleId, date, ranAt: clock().toISOString(), ...entry, running: true, ok: null };
+      await kv.put(key(date, ruleId), JSON.stringify(value), { expirationTtl: TTL_SECONDS });
+      return value;
+    },
+
+    async record(ruleId, date, entry) {
+      const value = { ruleId, date, ranAt: clock().toISOString(), ...entry };
+      await kv.put(key(date, ruleId), JSON.stringify(value), { expirationTtl: TTL_SECONDS });
+      return value;
+    },
+
+    // Every entry recorded for a local date
+    async forDate(date) {
+      const { keys } = await kv.list({ prefix: `${PREFIX}${date}:` });
+      return Promise.all(keys.map(k => kv.get(k.name, 'json')));
+    }
+  };
+}
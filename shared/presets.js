@@ -0,0 +1,76 @@
+// Presets ("moods"): a named snapshot of each device's look, restored in one go.
+//
+//   { name: 'Movie night', createdAt, devices: { [deviceId]: { power, brightness, color, colorTemperatureK, scene } } }
+//
+// A look uses the same field names as parseState() in govee.js, so a preset is just
+// the current device states with the transient fields dropped.
+
+import { capability } from './govee.js';
+
+const LOOK_FIELDS = ['power', 'brightness', 'color', 'colorTemperatureK', 'scene'];
+
+export function pickLook(state) {
+  const look = {};
+  for (const field of LOOK_FIELDS) {
+    if (state[field] !== undefined && state[field] !== null) look[field] = state[field];
+  }
+  return look;
+}
+
+const isByte = value => Number.isInteger(value) && value >= 0 && value <= 255;
+
+// What's wrong with a look, or null if lookCommands can apply it. A look without a
+// boolean power is rejected rather than read as "off".
+export function lookProblem(look) {
+  if (!look || typeof look !== 'object' || Array.isArray(look)) return 'look must be an object';
+  const unknown = Object.keys(look).filter(key => !LOOK_FIELDS.includes(key));
+  if (unknown.length) return `unknown look fields: ${unknown.join(', ')}`;
+  if (typeof look.power !== 'boolean') return 'power must be true or false';
+  if (look.brightness !== undefined && !(Number.isFinite(look.brightness) && look.brightness >= 0 && look.brightness <= 100)) {
+    return 'brightness must be 0-100';
+  }
+  if (look.color !== undefined && !(Array.isArray(look.color) && look.color.length === 3 && look.color.every(isByte))) {
+    return 'color must be [r, g, b] with values 0-255';
+  }
+  if (look.colorTemperatureK !== undefined && !(Number.isFinite(look.colorTemperatureK) && look.colorTemperatureK > 0)) {
+    return 'colorTemperatureK must be a positive number';
+  }
+  return null;
+}
+
+// Build a preset from { [deviceId]: state }; devices with unknown state are left out
+export function snapshotPreset(name, states) {
+  const devices = {};
+  for (const [id, state] of Object.entries(states)) {
+    const look = state && pickLook(state);
+    if (look && !lookProblem(look)) devices[id] = look;
+  }
+  return { name, createdAt: new Date().toISOString(), devices };
+}
+
+export function validatePreset(preset) {
+  if (!preset || typeof preset.name !== 'string' || !preset.name.trim()) throw new Error('Preset needs a name');
+  if (!preset.devices || typeof preset.devices !== 'object' || Array.isArray(preset.devices)) {
+    throw new Error(`Preset ${preset.name} has no devices`);
+  }
+  for (const [id, look] of Object.entries(preset.devices)) {
+    const problem = lookProblem(look);
+    if (problem) throw new Error(`Preset ${preset.name}, device ${id}: ${problem}`);
+  }
+  return preset;
+}
+
+/**
+ * Ordered control capabilities that recreate a look: power first, then brightness,
+ * then whichever of scene / color / color temperature was active.
+ */
+export function lookCommands(look) {
+  if (!look.power) return [capability.power(false)];
+
+  const commands = [capability.power(true)];
+  if (look.brightness) commands.push(capability.brightness(look.brightness));
+  if (look.scene) commands.push(capability.scene(look.scene));
+  else if (look.color) commands.push(capability.rgb(look.color));
+  else if (look.colorTemperatureK) commands.push(capability.colorTemperature(look.colorTemperatureK));
+  return commands;
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseState } from './govee.js';
+import { lookCommands, snapshotPreset, validatePreset } from './presets.js';
+
+const preset = devices => ({ name: 'Movie night', devices });
+
+test('explicit looks that lookCommands can apply pass', () => {
+  assert.doesNotThrow(() => validatePreset(preset({
+    a: { power: false },
+    b: { power: true, brightness: 40, color: [255, 120, 0] },
+    c: { power: true, colorTemperatureK: 2700 },
+    d: { power: true, scene: { id: 3853, paramId: 4280 } }
+  })));
+});
+
+test('bad looks are rejected instead of being applied as power-off', () => {
+  for (const [look, message] of [
+    [{ brightness: 40 }, /power must be true or false/],
+    [{ power: 'on' }, /power must be true or false/],
+    [{ power: true, brightness: 140 }, /brightness must be 0-100/],
+    [{ power: true, color: [300, 0, 0] }, /color must be/],
+    [{ power: true, color: { r: 255, g: 0, b: 0 } }, /color must be/],
+    [{ power: true, color: 16711680 }, /color must be/],
+    [{ power: true, colorTemperatureK: '2700' }, /colorTemperatureK must be/],
+    [{ power: true, powr: false }, /unknown look fields: powr/],
+    ['on', /look must be an object/]
+  ]) {
+    assert.throws(() => validatePreset(preset({ lamp: look })), message, JSON.stringify(look));
+  }
+  assert.throws(() => validatePreset(preset([{ power: true }])), /has no devices/);
+});
+
+test('captured state keeps the look fields of devices with a known power state', () => {
+  const { devices } = snapshotPreset('Now', {
+    lamp: { online: true, power: true, brightness: 50, color: null, colorTemperatureK: 3000, scene: null, values: {} },
+    strip: parseState([
+      { instance: 'powerSwitch', state: { value: 1 } },
+      { instance: 'colorRgb', state: { value: 0xff7800 } }
+    ]),
+    unknown: null
+  });
+  assert.deepEqual(devices, {
+    lamp: { power: true, brightness: 50, colorTemperatureK: 3000 },
+    strip: { power: true, color: [255, 120, 0] }
+  });
+  assert.doesNotThrow(() => validatePreset({ name: 'Now', devices }));
+  assert.equal(lookCommands(devices.lamp).length, 3);
+});
@@ -0,0 +1,204 @@
+// Declarative schedule rules. A rule says *when* (a sun event with an optional offset,
+// or a wall-clock time), on which weekdays, in which time zone, and *what* to do:
+//
+//   { id: 'sunset-on', at: 'sunset-15m', action: { power: 'on' } }
+//   { id: 'night-off', at: '01:00', action: { power: 'off' } }
+//   { id: 'wake', at: '06:30', days: 'weekdays', action: { power: 'on', brightness: 30 } }
+//   { id: 'evening', at: 'sunset', action: { power: 'on', colorTemperature: 2700 } }
+//
+// Rules are pure data, so the worker and the web UI server evaluate them the same way.
+
+import { getSunEvent, SUN_EVENTS } from './solar.js';
+import { WEEKDAYS, addDays, localDate, weekdayOf, zonedTime } from './time.js';
+
+const DAY_SETS = {
+  daily: WEEKDAYS,
+  weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  weekends: ['sat', 'sun']
+};
+
+/**
+ * Parse a rule's `at` field.
+ * 'HH:MM' -> { type: 'time', hour, minute }
+ * 'sunset', 'sunset-15m', 'civilDusk+1h' -> { type: 'sun', event, offsetMinutes }
+ */
+export function parseTrigger(at) {
+  const time = /^(\d{1,2}):(\d{2})$/.exec(at);
+  if (time) {
+    const hour = parseInt(time[1], 10);
+    const minute = parseInt(time[2], 10);
+    if (hour > 23 || minute > 59) throw new Error(`Invalid time: ${at}`);
+    return { type: 'time', hour, minute };
+  }
+
+  const sun = /^([a-zA-Z]+)\s*(?:([+-])\s*(\d+)\s*(m|min|h)?)?$/.exec(at);
+  if (sun && SUN_EVENTS.includes(sun[1])) {
+    const amount = sun[3] ? parseInt(sun[3], 10) * (sun[4] === 'h' ? 60 : 1) : 0;
+    return { type: 'sun', event: sun[1], offsetMinutes: sun[2] === '-' ? -amount : amount };
+  }
+
+  throw new Error(`Invalid trigger: ${at}`);
+}
+
+// Normalise `days` ('weekdays', ['mon', 'fri'], undefined) to a list of weekday keys
+export function parseDays(days) {
+  if (!days) return DAY_SETS.daily;
+  if (typeof days === 'string') {
+    if (DAY_SETS[days]) return DAY_SETS[days];
+    days = days.split(',');
+  }
+  const list = days.map(d => d.trim().toLowerCase().slice(0, 3));
+  const unknown = list.find(d => !WEEKDAYS.includes(d));
+  if (unknown) throw new Error(`Invalid weekday: ${unknown}`);
+  return list;
+}
+
+const isPercent = value => typeof value === 'number' && value >= 0 && value <= 100;
+const isKelvin = value => typeof value === 'number' && value >= 1000 && value <= 10000;
+
+// Fade settings (see fade.js): true for the defaults, or an object overriding some of them
+function validateFade(fade) {
+  if (fade === true) return;
+  if (!fade || typeof fade !== 'object') throw new Error('fade must be true or { minutes, brightness, ... }');
+  const checks = {
+    minutes: value => typeof value === 'number' && value > 0,
+    brightness: isPercent,
+    fromBrightness: isPercent,
+    fromKelvin: value => value === null || isKelvin(value),
+    toKelvin: isKelvin
+  };
+  for (const [key, value] of Object.entries(fade)) {
+    if (!checks[key]) throw new Error(`Unknown fade setting: ${key}`);
+    if (!checks[key](value)) throw new Error(`Invalid fade ${key}: ${JSON.stringify(value)}`);
+  }
+}
+
+/**
+ * An action as automation.runAction() runs it. One of:
+ *   { power: 'off' }
+ *   { preset: 'Dinner' }
+ *   { fade: true | { minutes, brightness, ... } }     (power: 'on' may be added)
+ *   { power: 'on', brightness?: 0-100, colorTemperature?: Kelvin }
+ * Anything else would silently do nothing, so it throws.
+ */
+export function validateAction(action) {
+  if (!action || typeof action !== 'object' || Array.isArray(action)) throw new Error('action must be an object');
+  const keys = Object.keys(action);
+  const only = (...allowed) => {
+    const extra = keys.filter(k => !allowed.includes(k));
+    if (extra.length > 0) throw new Error(`action can't combine ${keys.join(', ')}`);
+  };
+
+  if (action.power !== undefined && action.power !== 'on' && action.power !== 'off') {
+    throw new Error(`action power must be "on" or "off", not ${JSON.stringify(action.power)}`);
+  }
+  if (action.power === 'off') return only('power');
+  if (action.preset !== undefined) {
+    if (typeof action.preset !== 'string' || !action.preset.trim()) throw new Error('action preset must be a preset name');
+    return only('preset');
+  }
+  if (action.fade !== undefined) {
+    validateFade(action.fade);
+    return only('fade', 'power');
+  }
+  only('power', 'brightness', 'colorTemperature');
+  if (keys.length === 0) throw new Error('action is empty');
+  if (action.brightness !== undefined && !isPercent(action.brightness)) {
+    throw new Error(`action brightness must be 0-100, not ${JSON.stringify(action.brightness)}`);
+  }
+  if (action.colorTemperature !== undefined && !isKelvin(action.colorTemperature)) {
+    throw new Error(`action colorTemperature must be in Kelvin (1000-10000), not ${JSON.stringify(action.colorTemperature)}`);
+  }
+}
+
+// Throws on the first problem so bad config fails loudly instead of never firing
+export function validateRule(rule) {
+  if (!rule.id) throw new Error('Rule is missing an id');
+  if (!rule.at) throw new Error(`Rule ${rule.id} is missing "at"`);
+  if (!rule.action) throw new Error(`Rule ${rule.id} is missing an action`);
+  parseTrigger(rule.at);
+  parseDays(rule.days);
+  try {
+    validateAction(rule.action);
+  } catch (err) {
+    throw new Error(`Rule ${rule.id}: ${err.message}`);
+  }
+  return rule;
+}
+
+// A whole schedule: every rule valid and no id used twice (the run ledger is keyed by id,
+// so two rules sharing one would swallow each other's runs)
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Rules must be a list');
+  const ids = new Set();
+  for (const rule of rules) {
+    validateRule(rule);
+    if (ids.has(rule.id)) throw new Error(`Duplicate rule id: ${rule.id}`);
+    ids.add(rule.id);
+  }
+  return rules;
+}
+
+/**
+ * When a rule triggers on a local date, or null if it doesn't run that day
+ * (weekday excluded, disabled, or the sun event doesn't happen).
+ */
+export function triggerTime(rule, dateStr, location) {
+  if (rule.enabled === false) return null;
+  if (!parseDays(rule.days).includes(weekdayOf(dateStr))) return null;
+
+  const timeZone = rule.timezone || location.timezone;
+  const trigger = parseTrigger(rule.at);
+
+  if (trigger.type === 'time') {
+    return zonedTime(dateStr, trigger.hour, trigger.minute, timeZone);
+  }
+
+  const { lat, lng } = rule.location || location;
+  const eventTime = getSunEvent(dateStr, lat, lng, trigger.event);
+  if (!eventTime) return null;
+  return new Date(eventTime.getTime() + trigger.offsetMinutes * 60000);
+}
+
+/**
+ * Rules whose trigger falls in the window (now - windowMinutes, now].
+ * Checks yesterday's local date too, so late offsets like 'sunset+6h' still fire after midnight.
+ */
+export function dueRules(rules, now, { location, windowMinutes }) {
+  const due = [];
+  const windowStart = now.getTime() - windowMinutes * 60000;
+
+  for (const rule of rules) {
+    const today = localDate(rule.timezone || location.timezone, now);
+    for (const date of [addDays(today, -1), today]) {
+      const at = triggerTime(rule, date, location);
+      if (at && at.getTime() > windowStart && at.getTime() <= now.getTime()) {
+        due.push({ rule, date, at });
+      }
+    }
+  }
+
+  return due.sort((a, b) => a.at - b.at);
+}
+
+// Next time a rule fires after `now`, looking a week ahead; null if disabled or never
+export function nextRun(rule, now, location, days = 8) {
+  const today = localDate(rule.timezone || location.timezone, now);
+  for (let i = -1; i < days; i++) {
+    const at = triggerTime(rule, addDays(today, i), location);
+    if (at && at > now) return at;
+  }
+  return null;
+}
+
+// Each rule's trigger time on a local date, for previews
+export function describeDay(rules, dateStr, location) {
+  return rules.map(rule => ({
+    id: rule.id,
+    at: rule.at,
+    group: rule.group,
+    device: rule.device,
+    action: rule.action,
+    time: triggerTime(rule, dateStr, location)
+  }));
+}
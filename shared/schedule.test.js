@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAction, validateRule, validateRules } from './schedule.js';
+
+const rule = action => ({ id: 'r', at: 'sunset', action });
+
+test('actions runAction understands pass', () => {
+  for (const action of [
+    { power: 'on' },
+    { power: 'off' },
+    { power: 'on', brightness: 40, colorTemperature: 2700 },
+    { brightness: 0 },
+    { preset: 'Dinner' },
+    { fade: true },
+    { power: 'on', fade: { minutes: 30, brightness: 80 } },
+    { fade: { brightness: 60, fromKelvin: null } }
+  ]) {
+    assert.doesNotThrow(() => validateRule(rule(action)), JSON.stringify(action));
+  }
+});
+
+test('actions that would do nothing are rejected', () => {
+  for (const [action, message] of [
+    [{ power: 'onn' }, /power must be "on" or "off"/],
+    [{}, /action is empty/],
+    [{ preset: 123 }, /preset must be a preset name/],
+    [{ preset: ' ' }, /preset must be a preset name/],
+    [{ brightness: 140 }, /brightness must be 0-100/],
+    [{ brightness: '40' }, /brightness must be 0-100/],
+    [{ colorTemperature: 27 }, /colorTemperature must be in Kelvin/],
+    [{ power: 'off', brightness: 10 }, /can't combine/],
+    [{ preset: 'Dinner', brightness: 10 }, /can't combine/],
+    [{ fade: { minutes: 0 } }, /Invalid fade minutes/],
+    [{ fade: { brightnes: 80 } }, /Unknown fade setting: brightnes/],
+    [{ fade: 'slow' }, /fade must be true/],
+    [{ color: 'red' }, /can't combine/],
+    ['on', /action must be an object/]
+  ]) {
+    assert.throws(() => validateRule(rule(action)), message, JSON.stringify(action));
+  }
+  assert.throws(() => validateAction(null), /action must be an object/);
+});
+
+test('rule ids must be unique', () => {
+  assert.throws(() => validateRules([rule({ power: 'on' }), rule({ power: 'off' })]), /Duplicate rule id: r/);
+});
@@ -0,0 +1,143 @@
+// Dry run of the schedule: replays the cron over a time range with a simulated clock and
+// a client that records commands instead of sending them, using the same automation code
+// as the real ticks (rules, catch-up ledger, fades, presets). Answers questions like
+// "what happens on the night the clocks go back?" without waiting for it.
+//
+//   const { runs } = await simulate({ from: '2026-10-31', to: '2026-11-01', rules, devices, location });
+//   // runs: [{ at, local, kind: 'rule' | 'fade', ruleId?, scheduledFor?, lateMinutes?, results }]
+
+import { describeCapability } from './govee.js';
+import { MemoryKV } from './kv.js';
+import { createAutomation } from './automation.js';
+import { triggerTime } from './schedule.js';
+import { addDays, localDate, zonedTime } from './time.js';
+
+export const SIMULATE_MAX_DAYS = 400;
+
+const MINUTE = 60 * 1000;
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// An ISO time, or a local date ('YYYY-MM-DD') meaning local midnight at its start
+function parseTime(value, name, timeZone) {
+  const time = isDate(value) ? zonedTime(value, 0, 0, timeZone) : new Date(value);
+  if (!value || Number.isNaN(time.getTime())) throw new Error(`${name} must be a date or ISO time`);
+  return time;
+}
+
+// Wall-clock time with the zone abbreviation, so DST switches show up in the output
+function localTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone, hourCycle: 'h23', timeZoneName: 'short',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).format(date).replace(',', '');
+}
+
+// Every trigger time of every rule between two instants, sorted
+function triggerTimes(rules, start, end, location) {
+  const times = [];
+  for (const rule of rules) {
+    const timeZone = rule.timezone || location.timezone;
+    for (let date = addDays(localDate(timeZone, start), -1); date <= localDate(timeZone, end); date = addDays(date, 1)) {
+      const at = triggerTime(rule, date, location);
+      if (at && at >= start && at <= end) times.push(at.getTime());
+    }
+  }
+  return times.sort((a, b) => a - b);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.from - start date or ISO time
+ * @param {string} options.to - end date (inclusive) or ISO time
+ * @param {object[]} options.rules - validated schedule rules
+ * @param {object[]} options.devices - device list as returned by /user/devices
+ * @param {object} options.location - { lat, lng, timezone }
+ * @param {object} [options.groups]
+ * @param {(name: string) => Promise<object|null>} [options.findPreset]
+ * @param {number} [options.catchUpMinutes]
+ * @param {number} [options.cronMinutes] - how often the cron fires
+ * @param {number} [options.maxDays] - longest range accepted (SIMULATE_MAX_DAYS by default)
+ */
+export async function simulate({
+  from,
+  to,
+  rules,
+  devices,
+  location,
+  groups = {},
+  findPreset = async () => null,
+  catchUpMinutes = 120,
+  cronMinutes = 1,
+  maxDays = SIMULATE_MAX_DAYS
+}) {
+  // A `to` date includes that whole local day
+  const start = parseTime(from, 'from', location.timezone);
+  const end = isDate(to)
+    ? new Date(parseTime(addDays(to, 1), 'to', location.timezone).getTime() - 1)
+    : parseTime(to, 'to', location.timezone);
+  if (end <= start) throw new Error('to must be after from');
+  if (end - start > maxDays * 24 * 60 * MINUTE) throw new Error(`Simulate at most ${maxDays} days at a time`);
+
+  const step = cronMinutes * MINUTE;
+  let now = null;
+  let sent = null; // commands sent during the current fade step
+  const runs = [];
+
+  const automation = createAutomation({
+    store: new MemoryKV(),
+    client: {
+      listDevices: async () => devices,
+      control: async (device, cap) => {
+        sent?.push({ device: device.device, name: device.deviceName, action: describeCapability(cap), success: true });
+        return {};
+      }
+    },
+    location,
+    catchUpMinutes,
+    getRules: async () => rules,
+    getGroups: async () => groups,
+    findPreset,
+    retry: { attempts: 1 },
+    history: { record: async entry => runs.push({ ...entry, local: localTime(now, location.timezone) }) },
+    source: 'simulate',
+    clock: () => now,
+    log: { log() {}, error() {} }
+  });
+
+  // Start a catch-up window early, as if the cron had been running all along, so triggers
+  // just before `from` don't show up as late catch-up runs. Runs before `from` are dropped.
+  const warmUp = new Date(start.getTime() - catchUpMinutes * MINUTE);
+  const triggers = triggerTimes(rules, warmUp, end, location);
+  let next = 0;
+  let fading = false;
+  let ticks = 0;
+
+  // Ticks with no fade running and no trigger since the last tick do nothing, so only the
+  // others are actually run
+  for (let t = Math.ceil(warmUp.getTime() / step) * step; t <= end.getTime(); t += step) {
+    if (t >= start.getTime()) ticks++;
+    now = new Date(t);
+    if (fading) {
+      sent = [];
+      fading = await automation.advanceFades(now) > 0;
+      if (sent.length > 0) {
+        runs.push({ at: now.toISOString(), local: localTime(now, location.timezone), source: 'simulate', kind: 'fade', ok: true, results: sent });
+      }
+      sent = null;
+    }
+    if (next < triggers.length && triggers[next] <= t) {
+      while (next < triggers.length && triggers[next] <= t) next++;
+      await automation.runDueRules(now);
+      fading = true;
+    }
+  }
+
+  return {
+    from: start.toISOString(),
+    to: end.toISOString(),
+    location,
+    ticks,
+    runs: runs.filter(run => run.at >= start.toISOString())
+  };
+}
@@ -0,0 +1,114 @@
+// Offline solar position calculator based on the NOAA solar calculator equations
+// (https://gml.noaa.gov/grad/solcalc/calcdetails.html). Accurate to about a minute
+// for latitudes between +/-72 degrees, which is plenty for switching lights.
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sun altitude (degrees) for each event. Sunrise/sunset account for refraction and
+// the solar disc radius; golden hour is when the sun is 6 degrees above the horizon.
+const ALTITUDES = {
+  sunrise: -0.833,
+  civil: -6,
+  nautical: -12,
+  golden: 6
+};
+
+export const SUN_EVENTS = [
+  'sunrise', 'sunset',
+  'civilDawn', 'civilDusk',
+  'nauticalDawn', 'nauticalDusk',
+  'goldenHourEnd', 'goldenHour',
+  'solarNoon'
+];
+
+// Accepts 'YYYY-MM-DD' or a Date (its UTC calendar date is used)
+function toUtcMidnight(date) {
+  if (typeof date === 'string') {
+    const [y, m, d] = date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d);
+  }
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function julianCentury(ms) {
+  const jd = ms / DAY_MS + 2440587.5;
+  return (jd - 2451545) / 36525;
+}
+
+// Declination (degrees) and equation of time (minutes) at a given Julian century
+function sunParams(t) {
+  const l0 = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const m = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+  const e = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+  const c = Math.sin(m * RAD) * (1.914602 - t * (0.004817 + 0.000014 * t))
+    + Math.sin(2 * m * RAD) * (0.019993 - 0.000101 * t)
+    + Math.sin(3 * m * RAD) * 0.000289;
+  const omega = 125.04 - 1934.136 * t;
+  const appLong = l0 + c - 0.00569 - 0.00478 * Math.sin(omega * RAD);
+  const meanObliq = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliq = meanObliq + 0.00256 * Math.cos(omega * RAD);
+  const declination = Math.asin(Math.sin(obliq * RAD) * Math.sin(appLong * RAD)) / RAD;
+
+  const y = Math.tan(obliq / 2 * RAD) ** 2;
+  const eqTime = 4 / RAD * (
+    y * Math.sin(2 * l0 * RAD)
+    - 2 * e * Math.sin(m * RAD)
+    + 4 * e * y * Math.sin(m * RAD) * Math.cos(2 * l0 * RAD)
+    - 0.5 * y * y * Math.sin(4 * l0 * RAD)
+    - 1.25 * e * e * Math.sin(2 * m * RAD)
+  );
+
+  return { declination, eqTime };
+}
+
+// Minutes after UTC midnight when the sun crosses `altitude`, or null if it never does
+function eventMinutes(midnight, lat, lng, altitude, rising) {
+  // Start from local solar noon and refine once using the sun's position at the event
+  let minutes = 720 - 4 * lng;
+  for (let i = 0; i < 2; i++) {
+    const { declination, eqTime } = sunParams(julianCentury(midnight + minutes * 60000));
+    const noon = 720 - 4 * lng - eqTime;
+    if (altitude === null) {
+      minutes = noon;
+      continue;
+    }
+    const cosH = (Math.sin(altitude * RAD) - Math.sin(lat * RAD) * Math.sin(declination * RAD))
+      / (Math.cos(lat * RAD) * Math.cos(declination * RAD));
+    if (cosH < -1 || cosH > 1) return null;
+    const hourAngle = Math.acos(cosH) / RAD;
+    minutes = rising ? noon - 4 * hourAngle : noon + 4 * hourAngle;
+  }
+  return minutes;
+}
+
+/**
+ * Compute sun event times for a calendar day at a location.
+ * Every event is a Date, or null when the sun never reaches that altitude (polar day/night).
+ * `date` is the location's local calendar day as 'YYYY-MM-DD'.
+ */
+export function getSunTimes(date, lat, lng) {
+  const midnight = toUtcMidnight(date);
+  const at = (altitude, rising) => {
+    const minutes = eventMinutes(midnight, lat, lng, altitude, rising);
+    return minutes === null ? null : new Date(midnight + Math.round(minutes * 60000));
+  };
+
+  return {
+    solarNoon: at(null),
+    sunrise: at(ALTITUDES.sunrise, true),
+    sunset: at(ALTITUDES.sunrise, false),
+    civilDawn: at(ALTITUDES.civil, true),
+    civilDusk: at(ALTITUDES.civil, false),
+    nauticalDawn: at(ALTITUDES.nautical, true),
+    nauticalDusk: at(ALTITUDES.nautical, false),
+    goldenHourEnd: at(ALTITUDES.golden, true),
+    goldenHour: at(ALTITUDES.golden, false)
+  };
+}
+
+// Single event lookup, e.g. getSunEvent('2025-06-21', lat, lng, 'sunset')
+export function getSunEvent(date, lat, lng, event) {
+  if (!SUN_EVENTS.includes(event)) throw new Error(`Unknown sun event: ${event}`);
+  return getSunTimes(date, lat, lng)[event];
+}
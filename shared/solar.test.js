@@ -0,0 +1,59 @@
+// Reference times from the NOAA solar calculator (https://gml.noaa.gov/grad/solcalc/),
+// which rounds to the minute. Run with `npm test` in this directory.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSunEvent, getSunTimes } from './solar.js';
+
+const DENVER = [39.7392, -104.9903];
+const TOKYO = [35.6895, 139.6917];
+const TROMSO = [69.6492, 18.9553];
+
+// Within a minute of the NOAA time (given in UTC)
+function assertNear(actual, expected) {
+  assert.ok(actual instanceof Date, `expected a time near ${expected}, got ${actual}`);
+  const diff = Math.abs(actual.getTime() - Date.parse(expected));
+  assert.ok(diff <= 60000, `${actual.toISOString()} is ${Math.round(diff / 1000)}s from ${expected}`);
+}
+
+test('Denver, summer solstice', () => {
+  const times = getSunTimes('2024-06-20', ...DENVER);
+  assertNear(times.sunrise, '2024-06-20T11:32:00Z'); // 05:32 MDT
+  assertNear(times.sunset, '2024-06-21T02:31:00Z'); // 20:31 MDT
+  assertNear(times.civilDusk, '2024-06-21T03:04:00Z'); // 21:04 MDT
+});
+
+test('Denver, winter solstice', () => {
+  const times = getSunTimes('2024-12-21', ...DENVER);
+  assertNear(times.sunrise, '2024-12-21T14:18:00Z'); // 07:18 MST
+  assertNear(times.sunset, '2024-12-21T23:39:00Z'); // 16:39 MST
+  assertNear(times.solarNoon, '2024-12-21T18:58:00Z'); // 11:58 MST
+});
+
+test('Tokyo, March equinox (local day starts the previous UTC day)', () => {
+  const times = getSunTimes('2024-03-20', ...TOKYO);
+  assertNear(times.sunrise, '2024-03-19T20:45:00Z'); // 05:45 JST
+  assertNear(times.sunset, '2024-03-20T08:53:00Z'); // 17:53 JST
+});
+
+test('polar day: the sun never sets in Tromsø at midsummer', () => {
+  const times = getSunTimes('2024-06-21', ...TROMSO);
+  assert.equal(times.sunrise, null);
+  assert.equal(times.sunset, null);
+  assert.equal(times.civilDusk, null);
+  assert.ok(times.solarNoon instanceof Date);
+});
+
+test('polar night: no sunrise in Tromsø at midwinter, but civil twilight', () => {
+  const times = getSunTimes('2024-12-21', ...TROMSO);
+  assert.equal(times.sunrise, null);
+  assert.equal(times.sunset, null);
+  assert.equal(times.goldenHour, null);
+  assert.ok(times.civilDawn instanceof Date);
+  assert.ok(times.civilDusk instanceof Date);
+});
+
+test('getSunEvent looks up one event and rejects unknown ones', () => {
+  assertNear(getSunEvent('2024-06-20', ...DENVER, 'sunset'), '2024-06-21T02:31:00Z');
+  assert.throws(() => getSunEvent('2024-06-20', ...DENVER, 'moonrise'), /Unknown sun event/);
+});
@@ -0,0 +1,72 @@
+// Time zone helpers built on Intl, so they work the same in Workers and Node
+// without pulling in a date library.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock fields of an instant in a time zone
+export function localParts(timeZone, date = new Date()) {
+  const parts = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  const { year, month, day, hour, minute, second } = parts;
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  return { year, month, day, hour, minute, second, weekday };
+}
+
+// Local calendar date as 'YYYY-MM-DD'
+export function localDate(timeZone, date = new Date()) {
+  const { year, month, day } = localParts(timeZone, date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// True for a real calendar date written as 'YYYY-MM-DD' (not '2026-13-45' or '2026-02-30')
+export function isDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Weekday ('mon', 'tue', ...) of a 'YYYY-MM-DD' date
+export function weekdayOf(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+export function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// Milliseconds the time zone is ahead of UTC at an instant
+function offsetMs(timeZone, date) {
+  const p = localParts(timeZone, date);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs on a local date, e.g. 01:00 in America/Denver.
+ * Times skipped by a spring-forward jump resolve an hour early; repeated times pick the first.
+ */
+export function zonedTime(dateStr, hour, minute, timeZone) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d, hour, minute);
+  const first = guess - offsetMs(timeZone, new Date(guess));
+  const second = guess - offsetMs(timeZone, new Date(first));
+  return new Date(second);
+}
@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// Command-line control for scripts and terminals, with the server's settings (GOVEE_API_KEY,
+// GOVEE_API_BASE, location, DATA_DIR for rooms and presets) and the same device matching
+// as schedule rules: --device takes IDs or names (comma-separated), --group a room.
+//
+//   govee devices
+//   govee status [--device <id|name>] [--group <room>]
+//   govee on|off [--device ...] [--group ...]
+//   govee brightness <1-100> [--device ...] [--group ...]
+//   govee color <#ff8800 | 255,136,0 | 2700K> [--device ...] [--group ...]
+//   govee scene <name> [--device ...] [--group ...]
+//   govee preset [name]                  apply a saved preset, or list them
+//   govee sunset [--today | --date YYYY-MM-DD]
+//
+// When the dashboard server is running (GOVEE_SERVER, default http://localhost:$PORT),
+// commands go through its API: they share its request queue and quota, show up on open
+// dashboards and land in its history with source 'cli'. Otherwise the CLI calls Govee
+// itself (cloud only; a one-shot process doesn't wait for a LAN scan) and records the
+// history entries directly. GOVEE_SERVER=off always calls Govee directly.
+//
+// --json prints the result as JSON for piping. The exit code is 1 if any device failed (or
+// the API call did), 2 for a usage error.
+
+import { parseArgs } from 'node:util'
+import { capability, describeCapability, findCapability } from '../shared/govee.js'
+import { selectDevices } from '../shared/groups.js'
+import { getSunTimes } from '../shared/solar.js'
+import { isDateString, localDate } from '../shared/time.js'
+import { LOCATION, PORT } from './server/config.js'
+import { getDevices, govee, readState } from './server/govee.js'
+import { runBatch } from './server/control.js'
+import { applyPreset, listPresets } from './server/presets.js'
+import { listRooms } from './server/rooms.js'
+import { recordHistory } from './server/history.js'
+
+const SERVER_URL = process.env.GOVEE_SERVER || `http://localhost:${PORT}`
+
+const USAGE = `Usage: govee <command> [args] [--device <id|name>[,...]] [--group <room>] [--json]
+
+Commands:
+  devices                       list devices
+  status                        power, brightness and color of each device
+  on | off                      switch devices on or off
+  brightness <1-100>            set brightness
+  color <#rrggbb|r,g,b|2700K>   set a color or a color temperature
+  scene <name>                  play a built-in scene
+  preset [name]                 apply a saved preset (lists them without a name)
+  sunset [--today|--date D]     sun times for a day (default today)`
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    device: { type: 'string' },
+    group: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    today: { type: 'boolean', default: false },
+    date: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+  }
+})
+
+const [command, ...params] = positionals
+
+class UsageError extends Error {}
+
+// Both backends offer the same calls: devices, rooms, state, scenes, batch, presets and
+// applyPreset. `batch` takes [{ device, capabilities }] and resolves to runDeviceCommands()
+// results.
+
+// Through the running server's API
+function serverBackend(base) {
+  async function call(path, body) {
+    const res = await fetch(`${base}${path}`, body === undefined ? {} : {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    })
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) throw Object.assign(new Error(data.error || `${path}: HTTP ${res.status}`), { kind: data.kind || null })
+    return data
+  }
+  let sceneLists = null
+
+  return {
+    devices: async () => (await call('/api/devices?scenes=false')).devices,
+    rooms: async () => (await call('/api/rooms')).rooms,
+    state: device => call(`/api/state/${encodeURIComponent(device.device)}`),
+    // Every device's scenes in one call, as the dashboard loads them
+    async scenes(device) {
+      sceneLists ||= (await call('/api/devices')).scenes
+      return sceneLists[device.device] || []
+    },
+    batch: async jobs => (await call('/api/control/batch', {
+      source: 'cli',
+      actions: jobs.map(j => ({ device: j.device.device, capabilities: j.capabilities }))
+    })).results,
+    presets: async () => (await call('/api/presets')).presets,
+    applyPreset: async preset => (await call(`/api/presets/${encodeURIComponent(preset.name)}/apply`, { source: 'cli' })).results
+  }
+}
+
+// Straight to Govee, recording history the way the server's endpoints do
+function directBackend() {
+  const record = (entry, results) => recordHistory({ source: 'cli', ...entry, ok: results.every(r => r.success), results })
+
+  return {
+    devices: () => getDevices(),
+    rooms: () => listRooms(),
+    state: device => readState(device),
+    scenes: device => govee.getScenes(device),
+    async batch(jobs) {
+      const results = await runBatch(jobs, { source: 'cli' })
+      await record({
+        kind: 'batch',
+        action: [...new Set(jobs.flatMap(j => j.capabilities.map(describeCapability)))].join(', '),
+        target: `${jobs.length} devices`
+      }, results)
+      return results
+    },
+    presets: () => listPresets(),
+    async applyPreset(preset) {
+      const results = await applyPreset(preset, 'cli')
+      await record({ kind: 'preset', action: `preset ${preset.name}`, target: `${results.length} devices` }, results)
+      return results
+    }
+  }
+}
+
+async function connect() {
+  if (SERVER_URL === 'off') return directBackend()
+  try {
+    const res = await fetch(`${SERVER_URL}/api/quota`, { signal: AbortSignal.timeout(1000) })
+    if (res.ok) return serverBackend(SERVER_URL)
+  } catch {
+    // Not running: call Govee directly
+  }
+  return directBackend()
+}
+
+// '#ff8800', 'ff8800', '255,136,0' -> { rgb }; '2700K' -> { kelvin }
+function parseColor(value = '') {
+  const kelvin = value.match(/^(\d{4,5})k$/i)
+  if (kelvin) return { kelvin: Number(kelvin[1]) }
+  const hex = value.match(/^#?([0-9a-f]{6})$/i)
+  if (hex) return { rgb: [0, 2, 4].map(i => parseInt(hex[1].slice(i, i + 2), 16)) }
+  const parts = value.split(',').map(Number)
+  if (parts.length === 3 && parts.every(n => Number.isInteger(n) && n >= 0 && n <= 255)) return { rgb: parts }
+  throw new UsageError(`Not a color: ${value || '(none)'} (use #rrggbb, r,g,b or a temperature like 2700K)`)
+}
+
+async function targetDevices(backend) {
+  const target = { ...(args.group && { group: args.group }), ...(args.device && { device: args.device }) }
+  const devices = selectDevices(await backend.devices(), target, await backend.rooms())
+  if (devices.length === 0) throw new UsageError('No devices match')
+  return devices
+}
+
+// Same capabilities on every targeted device
+async function controlAll(backend, caps) {
+  return backend.batch((await targetDevices(backend)).map(device => ({ device, capabilities: caps })))
+}
+
+// Scenes are per device: look the name up in each device's own scene list. Devices
+// without scenes are skipped.
+async function playScene(backend, name) {
+  const devices = await targetDevices(backend)
+  const skipped = devices.filter(d => !findCapability(d, 'lightScene'))
+    .map(device => ({ device: device.device, name: device.deviceName, success: true, skipped: true }))
+  const jobs = await Promise.all(devices.filter(d => findCapability(d, 'lightScene')).map(async device => {
+    const scenes = await backend.scenes(device).catch(() => [])
+    const scene = scenes.find(s => s.name.toLowerCase() === name.toLowerCase())
+    return { device, scene }
+  }))
+  const missing = jobs.filter(j => !j.scene)
+    .map(({ device }) => ({ device: device.device, name: device.deviceName, success: false, error: `No scene named ${name}`, kind: 'invalid' }))
+  const found = jobs.filter(j => j.scene)
+  const done = found.length ? await backend.batch(found.map(j => ({ device: j.device, capabilities: [capability.scene(j.scene.value)] }))) : []
+  return [...done, ...missing, ...skipped]
+}
+
+async function run() {
+  // Sun times are computed locally, without the API
+  if (command === 'sunset') {
+    const date = args.today || !args.date ? localDate(LOCATION.timezone) : args.date
+    if (!isDateString(date)) throw new UsageError(`--date must be a date as YYYY-MM-DD, not ${date}`)
+    return { date, ...LOCATION, times: getSunTimes(date, LOCATION.lat, LOCATION.lng) }
+  }
+
+  const backend = await connect()
+  switch (command) {
+    case 'devices':
+      return (await backend.devices()).map(d => ({ device: d.device, name: d.deviceName, sku: d.sku }))
+
+    case 'status':
+      return Promise.all((await targetDevices(backend)).map(async d => ({ device: d.device, name: d.deviceName, ...await backend.state(d) })))
+
+    case 'on':
+    case 'off':
+      return controlAll(backend, [capability.power(command === 'on')])
+
+    case 'brightness': {
+      const percent = Number(params[0])
+      if (!params[0] || !Number.isFinite(percent)) throw new UsageError('brightness needs a percentage, e.g. govee brightness 40')
+      return controlAll(backend, [capability.brightness(percent)])
+    }
+
+    case 'color': {
+      const color = parseColor(params[0])
+      return controlAll(backend, [color.kelvin ? capability.colorTemperature(color.kelvin) : capability.rgb(color.rgb)])
+    }
+
+    case 'scene':
+      if (!params.length) throw new UsageError('scene needs a name, e.g. govee scene Sunset')
+      return playScene(backend, params.join(' '))
+
+    case 'preset': {
+      const presets = await backend.presets()
+      if (!params.length) return presets.map(p => ({ name: p.name, devices: Object.keys(p.devices).length }))
+      const name = params.join(' ')
+      const preset = presets.find(p => p.name.toLowerCase() === name.toLowerCase())
+      if (!preset) throw new UsageError(`Unknown preset: ${name}`)
+      return backend.applyPreset(preset)
+    }
+
+    default:
+      throw new UsageError(command ? `Unknown command: ${command}\n\n${USAGE}` : USAGE)
+  }
+}
+
+const localTime = date => date
+  ? date.toLocaleTimeString('en-US', { timeZone: LOCATION.timezone, hour: 'numeric', minute: '2-digit' })
+  : '-'
+
+function describeState(s) {
+  if (s.error) return `error: ${s.error}`
+  const color = s.colorTemperatureK ? `${s.colorTemperatureK}K` : s.color ? `rgb(${s.color.join(',')})` : ''
+  return [s.online === false ? 'offline' : s.power ? 'on' : 'off', s.power && `${s.brightness}%`, s.power && color, s.scene && `scene ${typeof s.scene === 'string' ? s.scene : JSON.stringify(s.scene)}`]
+    .filter(Boolean).join(' ')
+}
+
+function print(result) {
+  if (command === 'sunset') {
+    const { sunrise, sunset, civilDusk } = result.times
+    return console.log(`${result.date} (${result.timezone}): sunrise ${localTime(sunrise)}, sunset ${localTime(sunset)}, dusk ${localTime(civilDusk)}`)
+  }
+  if (command === 'devices') return result.forEach(d => console.log(`${d.name}\t${d.sku}\t${d.device}`))
+  if (command === 'status') return result.forEach(d => console.log(`${d.name}: ${describeState(d)}`))
+  if (command === 'preset' && !params.length) {
+    return result.length ? result.forEach(p => console.log(`${p.name} (${p.devices} devices)`)) : console.log('No presets saved')
+  }
+  // Control results: one line per device
+  result.forEach(r => console.log(`${r.skipped ? 'skip' : r.success ? 'ok  ' : 'FAIL'} ${r.name || r.device}${r.skipped ? ': not supported' : r.success ? '' : `: ${r.error}`}`))
+}
+
+if (args.help || !command) {
+  console.log(USAGE)
+  process.exit(command || args.help ? 0 : 1)
+}
+
+try {
+  const result = await run()
+  if (args.json) console.log(JSON.stringify(result, null, 2))
+  else print(result)
+  process.exit(Array.isArray(result) && result.some(r => r.success === false) ? 1 : 0)
+} catch (err) {
+  if (args.json) console.log(JSON.stringify({ error: err.message, kind: err.kind || null }))
+  else console.error(err instanceof UsageError ? err.message : `Error: ${err.message}`)
+  process.exit(err instanceof UsageError ? 2 : 1)
+}
@@ -0,0 +1,144 @@
+// Local stand-in for the Govee OpenAPI, with virtual devices, so the dashboard, the cron
+// worker and screenshot.js can run without a Govee account or real lamps.
+//
+//   npm run emulator                      # http://localhost:3002/router/api/v1
+//   GOVEE_API_BASE=http://localhost:3002/router/api/v1 npm run server
+//   (worker: set the GOVEE_API_BASE var to the same URL under `wrangler dev`)
+//
+// Settings (environment variables):
+//   EMULATOR_PORT             default 3002
+//   EMULATOR_DEVICES          JSON file with a list of virtual device specs (see emulator/devices.js)
+//   EMULATOR_API_KEY          only accept this Govee-API-Key (any non-empty key otherwise)
+//   EMULATOR_RATE_PER_MINUTE  calls per minute before answering 429, default 100
+//   EMULATOR_DAILY_LIMIT      calls per day before answering 429, default 10000
+//
+// Device behavior can be changed while running, e.g. to see how the stack copes with a
+// lamp dropping off the network:
+//   PATCH /emulator/devices/:device  { "offline": true, "failureRate": 0.3, "latencyMs": 800 }
+//   GET   /emulator/devices          every virtual device with its current state
+//   POST  /emulator/reset            back to the configured devices
+
+import express from 'express'
+import { readFileSync } from 'node:fs'
+import { applyControl, createVirtualDevice, DEFAULT_DEVICES, stateCapabilities } from './emulator/devices.js'
+
+const PORT = Number(process.env.EMULATOR_PORT) || 3002
+const API_KEY = process.env.EMULATOR_API_KEY || null
+const RATE_PER_MINUTE = Number(process.env.EMULATOR_RATE_PER_MINUTE) || 100
+const DAILY_LIMIT = Number(process.env.EMULATOR_DAILY_LIMIT) || 10000
+const BASE_PATH = '/router/api/v1'
+
+const specs = process.env.EMULATOR_DEVICES
+  ? JSON.parse(readFileSync(process.env.EMULATOR_DEVICES, 'utf8'))
+  : DEFAULT_DEVICES
+
+let devices = []
+function reset() {
+  devices = specs.map(createVirtualDevice)
+}
+reset()
+
+// Account-wide rate limit, reported in the same headers Govee uses
+const calls = { minute: [], day: null, today: 0 }
+
+function rateLimit(req, res, next) {
+  const now = Date.now()
+  const day = new Date(now).toISOString().slice(0, 10)
+  if (calls.day !== day) Object.assign(calls, { day, today: 0 })
+  calls.minute = calls.minute.filter(t => t > now - 60000)
+
+  const resetAt = Math.ceil((Date.parse(day) + 86400000) / 1000)
+  res.set({ 'API-RateLimit-Limit': String(DAILY_LIMIT), 'API-RateLimit-Reset': String(resetAt) })
+  if (calls.minute.length >= RATE_PER_MINUTE || calls.today >= DAILY_LIMIT) {
+    const retryAfter = calls.today >= DAILY_LIMIT ? resetAt - Math.floor(now / 1000) : Math.ceil((calls.minute[0] + 60000 - now) / 1000)
+    res.set({ 'API-RateLimit-Remaining': String(Math.max(0, DAILY_LIMIT - calls.today)), 'Retry-After': String(retryAfter) })
+    return res.status(429).json({ code: 429, msg: 'Too many requests, rate limit exceeded' })
+  }
+  calls.minute.push(now)
+  calls.today++
+  res.set('API-RateLimit-Remaining', String(DAILY_LIMIT - calls.today))
+  next()
+}
+
+function authenticate(req, res, next) {
+  const key = req.get('Govee-API-Key')
+  if (!key || (API_KEY && key !== API_KEY)) return res.status(401).json({ code: 401, msg: 'Invalid API Key' })
+  next()
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Device calls: look up the device, wait its latency and fail as often as it's told to
+function deviceRoute(handler) {
+  return async (req, res) => {
+    const { requestId, payload = {} } = req.body || {}
+    const device = devices.find(d => d.info.device === payload.device)
+    if (!device) return res.status(400).json({ requestId, code: 400, msg: `Device not found: ${payload.device}` })
+
+    await sleep(device.spec.latencyMs)
+    if (Math.random() < device.spec.failureRate) {
+      return res.status(500).json({ requestId, code: 500, msg: 'Internal server error (emulated)' })
+    }
+    const reply = (body, status = 200) => res.status(status).json({ requestId, msg: 'success', code: 200, ...body })
+    handler({ device, payload, reply })
+  }
+}
+
+const app = express()
+app.use(express.json())
+
+const api = express.Router()
+api.use(authenticate, rateLimit)
+
+api.get('/user/devices', (req, res) => {
+  res.json({ code: 200, message: 'success', data: devices.map(d => d.info) })
+})
+
+api.post('/device/state', deviceRoute(({ device, payload, reply }) => {
+  reply({ payload: { sku: payload.sku, device: payload.device, capabilities: stateCapabilities(device) } })
+}))
+
+const optionsReply = (type, instance, options) => ({ type, instance, parameters: { dataType: 'ENUM', options } })
+
+api.post('/device/scenes', deviceRoute(({ device, payload, reply }) => {
+  reply({ payload: { sku: payload.sku, device: payload.device, capabilities: [optionsReply('devices.capabilities.dynamic_scene', 'lightScene', device.scenes)] } })
+}))
+
+api.post('/device/diy-scenes', deviceRoute(({ device, payload, reply }) => {
+  reply({ payload: { sku: payload.sku, device: payload.device, capabilities: [optionsReply('devices.capabilities.diy_color_setting', 'diyScene', device.diyScenes)] } })
+}))
+
+api.post('/device/control', deviceRoute(({ device, payload, reply }) => {
+  if (device.spec.offline) return reply({ code: 400, msg: 'Device offline' }, 400)
+  const error = applyControl(device, payload.capability)
+  if (error) return reply({ code: 400, msg: error }, 400)
+  const { type, instance, value } = payload.capability
+  reply({ capability: { type, instance, state: { status: 'success' }, value } })
+}))
+
+app.use(BASE_PATH, api)
+
+app.get('/emulator/devices', (req, res) => {
+  res.json({ devices: devices.map(d => ({ ...d.info, behavior: d.spec, state: d.state })) })
+})
+
+app.patch('/emulator/devices/:device', (req, res) => {
+  const device = devices.find(d => d.info.device === req.params.device)
+  if (!device) return res.status(404).json({ error: `Unknown device: ${req.params.device}` })
+  const { offline, failureRate, latencyMs } = req.body || {}
+  Object.assign(device.spec, {
+    ...(offline !== undefined && { offline: Boolean(offline) }),
+    ...(failureRate !== undefined && { failureRate: Number(failureRate) }),
+    ...(latencyMs !== undefined && { latencyMs: Number(latencyMs) })
+  })
+  res.json({ ...device.info, behavior: device.spec, state: device.state })
+})
+
+app.post('/emulator/reset', (req, res) => {
+  reset()
+  res.status(204).end()
+})
+
+app.listen(PORT, () => {
+  console.log(`Govee API emulator with ${devices.length} virtual devices at http://localhost:${PORT}${BASE_PATH}`)
+})
@@ -0,0 +1,209 @@
+// Virtual devices for the Govee API emulator. A device is described by a short spec and
+// expanded into what Govee would report: the /user/devices entry with its capabilities,
+// its scene lists and a live state that control calls change.
+//
+//   {
+//     device: 'EM:00:00:00:00:00:00:01', sku: 'H6008', deviceName: 'Desk Lamp',
+//     colorTemperature: { min: 2700, max: 6500 },   // or false; default 2000-9000
+//     color: true,                                  // colorRgb (default true)
+//     segments: 15,                                 // RGBIC segments (default 0)
+//     scenes: ['Sunrise', 'Sunset'], diyScenes: ['Mine'], snapshots: ['Cozy'], music: ['Energic'],
+//     offline: false,                               // report offline and refuse commands
+//     failureRate: 0,                               // chance (0-1) that a call fails with a 500
+//     latencyMs: 0                                  // delay before answering
+//   }
+
+import { CAPABILITY_TYPES, KELVIN_RANGE, unpackRgb } from '../../shared/govee.js'
+
+export const DEFAULT_DEVICES = [
+  {
+    device: 'EM:00:00:00:00:00:00:01', sku: 'H6008', deviceName: 'Desk Lamp',
+    colorTemperature: { min: 2700, max: 6500 },
+    scenes: ['Sunrise', 'Sunset', 'Reading', 'Candlelight']
+  },
+  {
+    device: 'EM:00:00:00:00:00:00:02', sku: 'H619A', deviceName: 'TV Backlight',
+    segments: 15,
+    scenes: ['Aurora', 'Rainbow', 'Sunset', 'Fire'],
+    diyScenes: ['Party Mix'],
+    snapshots: ['Movie Night'],
+    music: ['Energic', 'Rhythm', 'Spectrum', 'Rolling']
+  },
+  {
+    device: 'EM:00:00:00:00:00:00:03', sku: 'H6072', deviceName: 'Floor Lamp',
+    colorTemperature: { min: 2200, max: 6500 },
+    segments: 7,
+    scenes: ['Aurora', 'Sunset', 'Forest'],
+    music: ['Energic', 'Rhythm']
+  },
+  {
+    device: 'EM:00:00:00:00:00:00:04', sku: 'H6001', deviceName: 'Porch Light',
+    color: false, colorTemperature: false
+  }
+]
+
+const RGB_RANGE = { min: 0, max: 16777215, precision: 1 }
+const ON_OFF_OPTIONS = [{ name: 'on', value: 1 }, { name: 'off', value: 0 }]
+
+const options = (names, first) => names.map((name, i) => ({ name, value: first + i }))
+
+function segmentFields(count, valueField) {
+  return [
+    { fieldName: 'segment', dataType: 'Array', elementType: 'INTEGER', size: { min: 1, max: count }, elementRange: { min: 0, max: count - 1 }, required: true },
+    valueField
+  ]
+}
+
+// The capabilities a spec advertises, in /user/devices form
+function capabilitiesFor(spec) {
+  const caps = [
+    { type: CAPABILITY_TYPES.onOff, instance: 'powerSwitch', parameters: { dataType: 'ENUM', options: ON_OFF_OPTIONS } },
+    { type: CAPABILITY_TYPES.range, instance: 'brightness', parameters: { unit: 'unit.percent', dataType: 'INTEGER', range: { min: 1, max: 100, precision: 1 } } }
+  ]
+  if (spec.color !== false) {
+    caps.push({ type: CAPABILITY_TYPES.colorSetting, instance: 'colorRgb', parameters: { dataType: 'INTEGER', range: RGB_RANGE } })
+  }
+  if (spec.colorTemperature !== false) {
+    const range = spec.colorTemperature || KELVIN_RANGE
+    caps.push({ type: CAPABILITY_TYPES.colorSetting, instance: 'colorTemperatureK', parameters: { unit: 'unit.kelvin', dataType: 'INTEGER', range: { ...range, precision: 1 } } })
+  }
+  if (spec.segments > 0) {
+    caps.push({
+      type: CAPABILITY_TYPES.segmentColorSetting, instance: 'segmentedColorRgb',
+      parameters: { dataType: 'STRUCT', fields: segmentFields(spec.segments, { fieldName: 'rgb', dataType: 'INTEGER', range: RGB_RANGE, required: true }) }
+    }, {
+      type: CAPABILITY_TYPES.segmentColorSetting, instance: 'segmentedBrightness',
+      parameters: { dataType: 'STRUCT', fields: segmentFields(spec.segments, { fieldName: 'brightness', dataType: 'INTEGER', range: { min: 0, max: 100, precision: 1 }, required: true }) }
+    })
+  }
+  // Scene and DIY options come from their own endpoints, like on the real API
+  if (spec.scenes?.length) {
+    caps.push({ type: CAPABILITY_TYPES.dynamicScene, instance: 'lightScene', parameters: { dataType: 'ENUM', options: [] } })
+  }
+  if (spec.diyScenes?.length) {
+    caps.push({ type: CAPABILITY_TYPES.diyColorSetting, instance: 'diyScene', parameters: { dataType: 'ENUM', options: [] } })
+  }
+  if (spec.snapshots?.length) {
+    caps.push({ type: CAPABILITY_TYPES.dynamicScene, instance: 'snapshot', parameters: { dataType: 'ENUM', options: options(spec.snapshots, 3000) } })
+  }
+  if (spec.music?.length) {
+    caps.push({
+      type: CAPABILITY_TYPES.musicSetting, instance: 'musicMode',
+      parameters: {
+        dataType: 'STRUCT',
+        fields: [
+          { fieldName: 'musicMode', dataType: 'ENUM', options: options(spec.music, 1), required: true },
+          { fieldName: 'sensitivity', dataType: 'INTEGER', range: { min: 0, max: 100, precision: 1 }, required: false },
+          { fieldName: 'autoColor', dataType: 'ENUM', options: ON_OFF_OPTIONS, required: false }
+        ]
+      }
+    })
+  }
+  caps.push({ type: CAPABILITY_TYPES.online, instance: 'online', parameters: { dataType: 'ENUM', options: [{ name: 'online', value: true }, { name: 'offline', value: false }] } })
+  return caps
+}
+
+export function createVirtualDevice(spec) {
+  if (!spec.device || !spec.sku) throw new Error(`Virtual device needs a device ID and sku: ${JSON.stringify(spec)}`)
+  return {
+    spec: { failureRate: 0, latencyMs: 0, offline: false, ...spec },
+    info: {
+      sku: spec.sku,
+      device: spec.device,
+      deviceName: spec.deviceName || spec.sku,
+      type: 'devices.types.light',
+      capabilities: capabilitiesFor(spec)
+    },
+    scenes: (spec.scenes || []).map((name, i) => ({ name, value: { paramId: 1000 + i, id: 100 + i } })),
+    diyScenes: options(spec.diyScenes || [], 2000),
+    state: {
+      powerSwitch: 0,
+      brightness: 100,
+      colorRgb: spec.color === false ? null : 16777215,
+      colorTemperatureK: null,
+      lightScene: null,
+      segments: Array(spec.segments || 0).fill(null)
+    }
+  }
+}
+
+const inRange = (value, range) => typeof value === 'number' && value >= range.min && value <= range.max
+
+// Why a capability can't be applied to the device, or null if it can
+function checkControl(device, cap) {
+  const advertised = device.info.capabilities.find(c => c.instance === cap?.instance && c.type === cap?.type)
+  if (!advertised) return `Unsupported capability: ${cap?.type} ${cap?.instance}`
+  const { parameters } = advertised
+
+  if (parameters.range && !inRange(cap.value, parameters.range)) return `Parameter value out of range: ${cap.instance}=${cap.value}`
+  if (parameters.dataType === 'ENUM') {
+    const choices = cap.instance === 'lightScene' ? device.scenes : cap.instance === 'diyScene' ? device.diyScenes : parameters.options
+    if (!choices.some(o => JSON.stringify(o.value) === JSON.stringify(cap.value))) return `Invalid value for ${cap.instance}`
+  }
+  if (parameters.dataType === 'STRUCT') {
+    for (const field of parameters.fields) {
+      const value = cap.value?.[field.fieldName]
+      if (value === undefined) {
+        if (field.required) return `Missing ${field.fieldName} in ${cap.instance}`
+        continue
+      }
+      if (field.elementRange && (!Array.isArray(value) || value.length === 0 || !value.every(i => inRange(i, field.elementRange)))) {
+        return `Invalid ${field.fieldName} in ${cap.instance}`
+      }
+      if (field.range && !inRange(value, field.range)) return `Parameter value out of range: ${cap.instance}.${field.fieldName}`
+      if (field.options && !field.options.some(o => o.value === value)) return `Invalid ${field.fieldName} in ${cap.instance}`
+    }
+  }
+  return null
+}
+
+// Apply a control call to the device's state; returns an error message if it's refused
+export function applyControl(device, cap) {
+  const error = checkControl(device, cap)
+  if (error) return error
+
+  const { state } = device
+  switch (cap.instance) {
+    case 'powerSwitch':
+    case 'brightness':
+      state[cap.instance] = cap.value
+      break
+    case 'colorRgb':
+      Object.assign(state, { colorRgb: cap.value, colorTemperatureK: null, lightScene: null })
+      state.segments.fill(null)
+      break
+    case 'colorTemperatureK':
+      Object.assign(state, { colorTemperatureK: cap.value, colorRgb: null, lightScene: null })
+      state.segments.fill(null)
+      break
+    case 'lightScene':
+      state.lightScene = device.scenes.find(s => JSON.stringify(s.value) === JSON.stringify(cap.value)).name
+      break
+    case 'segmentedColorRgb':
+      cap.value.segment.forEach(i => { state.segments[i] = unpackRgb(cap.value.rgb) })
+      state.lightScene = null
+      break
+    default:
+      // segmentedBrightness, DIY scenes, snapshots and music modes just end the running scene
+      if (cap.instance !== 'segmentedBrightness') state.lightScene = null
+  }
+  return null
+}
+
+// /device/state capabilities. Color and color temperature are only reported while in
+// use; the scene is reported by name ('' when none is running).
+export function stateCapabilities(device) {
+  const { state } = device
+  const report = (instance, value) => {
+    const cap = device.info.capabilities.find(c => c.instance === instance)
+    return cap && value !== null && { type: cap.type, instance, state: { value } }
+  }
+  return [
+    report('online', !device.spec.offline),
+    report('powerSwitch', state.powerSwitch),
+    report('brightness', state.brightness),
+    report('colorRgb', state.colorRgb),
+    report('colorTemperatureK', state.colorTemperatureK),
+    report('lightScene', state.lightScene ?? '')
+  ].filter(Boolean)
+}
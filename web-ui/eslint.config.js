@@ -26,4 +26,10 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    files: ['server.js', 'server/**/*.js', 'emulator.js', 'emulator/**/*.js', 'cli.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
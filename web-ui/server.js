@@ -1,76 +1,188 @@
 import express from 'express'
 import cors from 'cors'
+import { getSunTimes } from '../shared/solar.js'
+import { isDateString, localDate } from '../shared/time.js'
+import { capabilityOptions, describeCapability, musicModeOptions } from '../shared/govee.js'
+import { LOCATION, PORT, STATE_POLL_SECONDS } from './server/config.js'
+import { findDevice, getDevices, govee, lan, queue, quota, readState, startLan } from './server/govee.js'
+import { sendError } from './server/http.js'
+import { refreshStates, startPolling, updateState } from './server/state.js'
+import { eventsHandler } from './server/events.js'
+import { controlDevice, runBatch } from './server/control.js'
+import { presetsRouter } from './server/presets.js'
+import { scheduleRouter, startScheduler } from './server/scheduler.js'
+import { roomsRouter } from './server/rooms.js'
+import { clientSource, historyRouter, recordHistory } from './server/history.js'
+import { startMqtt } from './server/mqtt.js'
 
 const app = express()
 app.use(cors())
 app.use(express.json())
 
-const API_KEY = '00b0d8f5-c2cb-4b42-9522-bbcf94492b86'
-const API_BASE = 'https://openapi.api.govee.com'
-
-const headers = {
-  'Content-Type': 'application/json',
-  'Govee-API-Key': API_KEY
-}
-
-// Get devices and their scenes
+// Get devices and everything they can play, keyed by device ID: built-in scenes, the
+// user's DIY scenes, saved snapshots and music modes (with their sensitivity range).
+// ?scenes=false returns just the (cached) device list, without the per-device calls.
 app.get('/api/devices', async (req, res) => {
   try {
-    const devicesRes = await fetch(`${API_BASE}/router/api/v1/user/devices`, { headers })
-    const devicesData = await devicesRes.json()
-
-    const devices = devicesData.data || []
+    if (req.query.scenes === 'false') return res.json({ devices: await getDevices() })
+    const devices = await getDevices({ refresh: true })
     const scenes = {}
+    const diyScenes = {}
+    const snapshots = {}
+    const music = {}
 
     // Fetch scenes for each device
     for (const device of devices) {
       try {
-        const scenesRes = await fetch(`${API_BASE}/router/api/v1/device/scenes`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify({
-            requestId: `scenes-${device.device}`,
-            payload: { sku: device.sku, device: device.device }
-          })
-        })
-        const scenesData = await scenesRes.json()
-        const lightScenes = scenesData.payload?.capabilities?.find(c => c.instance === 'lightScene')
-        if (lightScenes) {
-          scenes[device.device] = lightScenes.parameters.options
+        const options = await govee.getScenes(device)
+        if (options.length > 0) {
+          scenes[device.device] = options
         }
       } catch (err) {
         console.error(`Failed to fetch scenes for ${device.deviceName}:`, err.message)
       }
+      try {
+        const options = await govee.getDiyScenes(device)
+        if (options.length > 0) {
+          diyScenes[device.device] = options
+        }
+      } catch (err) {
+        console.error(`Failed to fetch DIY scenes for ${device.deviceName}:`, err.message)
+      }
+
+      // Snapshots and music modes are listed in the device's own capabilities
+      const deviceSnapshots = capabilityOptions(device, 'snapshot')
+      if (deviceSnapshots.length > 0) snapshots[device.device] = deviceSnapshots
+      const modes = musicModeOptions(device)
+      if (modes) music[device.device] = modes
     }
 
-    res.json({ devices, scenes })
+    res.json({ devices, scenes, diyScenes, snapshots, music })
   } catch (err) {
     console.error('Failed to fetch devices:', err)
-    res.status(500).json({ error: err.message })
+    sendError(res, err)
+  }
+})
+
+// State of every device: { states: { [deviceId]: { online, power, brightness, color, scene, ... } } }
+app.get('/api/state', async (req, res) => {
+  try {
+    const states = await refreshStates('request')
+    res.json({ states, timestamp: new Date().toISOString() })
+  } catch (err) {
+    console.error('Failed to fetch state:', err)
+    sendError(res, err)
+  }
+})
+
+// State of a single device
+app.get('/api/state/:device', async (req, res) => {
+  try {
+    const device = await findDevice(req.params.device)
+    if (!device) return res.status(404).json({ error: `Unknown device: ${req.params.device}` })
+    res.json(updateState(device.device, await readState(device), 'request'))
+  } catch (err) {
+    console.error('Failed to fetch state:', err)
+    sendError(res, err)
   }
 })
 
+// Live state changes for every open dashboard
+app.get('/api/events', eventsHandler)
+
 // Control a device
 app.post('/api/control', async (req, res) => {
+  const { sku, device, capability } = req.body || {}
+  if (!device || !capability?.instance) {
+    return res.status(400).json({ error: 'Body must be { sku, device, capability: { type, instance, value } }', kind: 'invalid' })
+  }
+  const entry = { source: 'ui', kind: 'control', action: capability.instance, target: device }
+  const result = { device, name: null }
   try {
-    const { sku, device, capability } = req.body
-    const response = await fetch(`${API_BASE}/router/api/v1/device/control`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify({
-        requestId: `control-${Date.now()}`,
-        payload: { sku, device, capability }
-      })
-    })
-    const data = await response.json()
+    // The cached entry carries the device's capability ranges
+    const target = await findDevice(device) || { sku, device }
+    Object.assign(entry, { action: describeCapability(capability), target: target.deviceName || device })
+    result.name = target.deviceName || null
+    const data = await controlDevice(target, capability)
+    await recordHistory({ ...entry, ok: true, results: [{ ...result, success: true }] })
     res.json(data)
   } catch (err) {
     console.error('Control failed:', err)
-    res.status(500).json({ error: err.message })
+    await recordHistory({ ...entry, ok: false, results: [{ ...result, success: false, error: err.message, kind: err.kind || null }] })
+    sendError(res, err)
+  }
+})
+
+// Control several devices at once:
+//   { actions: [{ device, capabilities: [cap, ...] }, ...] }
+// Each device's capabilities run in order (power before color, ...), transient failures
+// are retried, and the reply reports every device:
+//   { success, results: [{ device, name, success, skipped?, error?, kind? }] }
+// `source: 'cli'` marks commands from the command-line tool in the history.
+app.post('/api/control/batch', async (req, res) => {
+  const { actions } = req.body || {}
+  const source = clientSource(req.body)
+  if (!Array.isArray(actions) || actions.length === 0 || actions.some(a => !a?.device || !Array.isArray(a.capabilities))) {
+    return res.status(400).json({ error: 'actions must be a non-empty list of { device, capabilities: [...] }', kind: 'invalid' })
+  }
+  try {
+    const devices = await Promise.all(actions.map(a => findDevice(a.device)))
+    const jobs = actions.map((a, i) => ({ device: devices[i], capabilities: a.capabilities })).filter(j => j.device)
+    const done = await runBatch(jobs, { source })
+    const results = actions.map(a => done.find(r => r.device === a.device) ||
+      { device: a.device, name: null, success: false, error: 'Unknown device', kind: 'invalid' })
+    const success = results.every(r => r.success)
+    await recordHistory({
+      source,
+      kind: 'batch',
+      action: [...new Set(actions.flatMap(a => a.capabilities.map(describeCapability)))].join(', '),
+      target: `${actions.length} devices`,
+      ok: success,
+      results
+    })
+    res.json({ success, results })
+  } catch (err) {
+    console.error('Batch control failed:', err)
+    sendError(res, err)
+  }
+})
+
+// Saved presets ("moods")
+app.use('/api/presets', presetsRouter)
+
+// Rooms (user-defined device groups)
+app.use('/api/rooms', roomsRouter)
+
+// Local schedule rules (sunset/sunrise/fixed time)
+app.use('/api/schedule', scheduleRouter)
+
+// What ran, when and how each device answered
+app.use('/api/history', historyRouter)
+
+// Govee API usage: today's quota and the request queue
+app.get('/api/quota', (req, res) => {
+  res.json({ ...quota.snapshot(), queue: queue.stats() })
+})
+
+// Devices found on the local network (empty when the LAN transport is off)
+app.get('/api/lan', (req, res) => {
+  res.json({ enabled: Boolean(lan), devices: lan ? lan.devices() : [] })
+})
+
+// Sunrise, sunset, dusk and golden hour for a local date (defaults to today)
+app.get('/api/sun', (req, res) => {
+  const date = req.query.date || localDate(LOCATION.timezone)
+  if (!isDateString(date)) {
+    return res.status(400).json({ error: `date must be YYYY-MM-DD, not ${date}` })
   }
+  res.json({ date, ...LOCATION, times: getSunTimes(date, LOCATION.lat, LOCATION.lng) })
 })
 
-const PORT = 3001
+startLan()
+startPolling(STATE_POLL_SECONDS)
+startScheduler()
+startMqtt().catch(err => console.error('MQTT bridge failed to start:', err.message))
+
 app.listen(PORT, () => {
   console.log(`🚀 Govee API server running at http://localhost:${PORT}`)
 })
@@ -0,0 +1,13 @@
+// Failure alerts from the dashboard server: local schedule runs that don't fully succeed
+// and devices that drop offline while the state is being polled. Sent-alert keys are kept
+// in data/alerts.json so a restart doesn't repeat them.
+
+import { createAlerter, parseAlertSinks } from '../../shared/alerts.js'
+import { ALERT_DEDUPE_MINUTES, ALERT_WEBHOOKS } from './config.js'
+import { jsonKV } from './store.js'
+
+export const alerts = createAlerter({
+  sinks: parseAlertSinks(ALERT_WEBHOOKS),
+  kv: jsonKV('alerts.json'),
+  dedupeMinutes: ALERT_DEDUPE_MINUTES
+})
@@ -0,0 +1,137 @@
+// Runs the server against the Govee API emulator (emulator.js), each in its own process
+// with a throwaway data directory, and drives it over HTTP like the dashboard does.
+
+import { after, before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'node:child_process'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { createServer } from 'node:net'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { capability } from '../../shared/govee.js'
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)))
+const LAMP = 'EM:00:00:00:00:00:00:01'
+const TV = 'EM:00:00:00:00:00:00:02'
+const PORCH = 'EM:00:00:00:00:00:00:04'
+
+const children = []
+let dataDir
+let emulator
+let api
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer().listen(0, () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    }).on('error', reject)
+  })
+}
+
+function start(script, env) {
+  const child = spawn(process.execPath, [script], { cwd: root, env: { ...process.env, ...env }, stdio: ['ignore', 'ignore', 'pipe'] })
+  let stderr = ''
+  child.stderr.on('data', chunk => { stderr += chunk })
+  child.on('exit', code => {
+    if (code) console.error(`${script} exited with ${code}:\n${stderr}`)
+  })
+  children.push(child)
+}
+
+// Poll until `url` answers, for up to 10 seconds
+async function ready(url) {
+  for (let i = 0; i < 100; i++) {
+    try {
+      if ((await fetch(url)).ok) return
+    } catch {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  throw new Error(`${url} never came up`)
+}
+
+async function post(pathname, body) {
+  const res = await fetch(`${api}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  })
+  return { status: res.status, body: await res.json() }
+}
+
+async function emulatedState(id) {
+  const { devices } = await (await fetch(`${emulator}/emulator/devices`)).json()
+  return devices.find(d => d.device === id).state
+}
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), 'govee-api-'))
+  const [emulatorPort, serverPort] = [await freePort(), await freePort()]
+  emulator = `http://localhost:${emulatorPort}`
+  api = `http://localhost:${serverPort}/api`
+  start('emulator.js', { EMULATOR_PORT: String(emulatorPort) })
+  await ready(`${emulator}/emulator/devices`)
+  start('server.js', {
+    PORT: String(serverPort),
+    DATA_DIR: dataDir,
+    GOVEE_API_BASE: `${emulator}/router/api/v1`,
+    GOVEE_LAN: 'off',
+    MQTT_URL: '',
+    WORKER_URL: '',
+    ALERT_WEBHOOKS: ''
+  })
+  await ready(`${api}/devices`)
+})
+
+after(async () => {
+  for (const child of children) child.kill()
+  await rm(dataDir, { recursive: true, force: true })
+})
+
+test('/api/control sends the command to the device', async () => {
+  const { status, body } = await post('/control', { device: LAMP, capability: capability.brightness(40) })
+  assert.equal(status, 200, JSON.stringify(body))
+  assert.equal(body.code, 200)
+  assert.equal((await emulatedState(LAMP)).brightness, 40)
+})
+
+test('/api/control rejects a capability the device doesn\'t have without calling Govee', async () => {
+  const { status, body } = await post('/control', { device: PORCH, capability: capability.rgb([255, 0, 0]) })
+  assert.equal(status, 400)
+  assert.equal(body.kind, 'invalid')
+  assert.equal((await emulatedState(PORCH)).colorRgb, null)
+
+  assert.equal((await post('/control', {})).status, 400)
+})
+
+test('/api/control/batch runs every device\'s commands and reports each one', async () => {
+  const { status, body } = await post('/control/batch', {
+    actions: [
+      { device: LAMP, capabilities: [capability.power(true), capability.colorTemperature(3000)] },
+      { device: TV, capabilities: [capability.power(true), capability.rgb([255, 0, 0])] },
+      { device: 'EM:00:00:00:00:00:00:99', capabilities: [capability.power(true)] }
+    ]
+  })
+  assert.equal(status, 200, JSON.stringify(body))
+  assert.equal(body.success, false)
+  assert.deepEqual(body.results.map(r => [r.device, r.success]), [[LAMP, true], [TV, true], ['EM:00:00:00:00:00:00:99', false]])
+  assert.equal(body.results[2].error, 'Unknown device')
+
+  const lamp = await emulatedState(LAMP)
+  assert.equal(lamp.powerSwitch, 1)
+  assert.equal(lamp.colorTemperatureK, 3000)
+  const tv = await emulatedState(TV)
+  assert.equal(tv.powerSwitch, 1)
+  assert.equal(tv.colorRgb, 0xff0000)
+})
+
+test('/api/control/batch answers 400 without a non-empty actions list', async () => {
+  for (const body of [undefined, {}, { actions: [] }, { actions: [{ device: LAMP }] }]) {
+    const res = await post('/control/batch', body)
+    assert.equal(res.status, 400, JSON.stringify(body))
+    assert.equal(res.body.kind, 'invalid')
+  }
+})
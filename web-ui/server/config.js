@@ -0,0 +1,68 @@
+// Server settings. Everything can be overridden with environment variables.
+
+import { fileURLToPath } from 'node:url'
+
+export const API_KEY = process.env.GOVEE_API_KEY || '00b0d8f5-c2cb-4b42-9522-bbcf94492b86'
+
+// Govee API to talk to; point it at the emulator (npm run emulator) to run without real lamps:
+//   GOVEE_API_BASE=http://localhost:3002/router/api/v1
+export const GOVEE_API_BASE = process.env.GOVEE_API_BASE || undefined
+
+// Location used for sun times (Denver, same as the cron worker)
+export const LOCATION = {
+  lat: Number(process.env.LAT) || 39.7392,
+  lng: Number(process.env.LNG) || -104.9903,
+  timezone: process.env.TZ_NAME || 'America/Denver'
+}
+
+export const PORT = Number(process.env.PORT) || 3001
+
+// How often device state is polled from Govee while a dashboard is connected
+export const STATE_POLL_SECONDS = Number(process.env.STATE_POLL_SECONDS) || 60
+
+// Govee API budget for this key (the cron worker uses the same one): calls started per
+// minute by this server, and the daily quota shown when Govee doesn't report it
+export const GOVEE_RATE_PER_MINUTE = Number(process.env.GOVEE_RATE_PER_MINUTE) || 60
+export const GOVEE_DAILY_QUOTA = Number(process.env.GOVEE_DAILY_QUOTA) || 10000
+
+// How long a control call waits for a newer value for the same device and capability
+// (slider and color wheel drags) before it's sent; see server/ratelimit.js
+export const CONTROL_DEBOUNCE_MS = Number(process.env.CONTROL_DEBOUNCE_MS ?? 250)
+
+// How many devices a batch (multi-device command, preset) talks to at once
+export const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4
+
+// Govee LAN API (see server/lan.js), off unless GOVEE_LAN=on: devices with LAN Control
+// enabled are driven over the local network when they answer a scan, with the cloud as
+// fallback. It listens on UDP port 4002, which only one LAN client per host can have.
+export const GOVEE_LAN = ['on', 'true', '1'].includes(process.env.GOVEE_LAN)
+export const LAN_SCAN_SECONDS = Number(process.env.LAN_SCAN_SECONDS) || 60
+export const LAN_TIMEOUT_MS = Number(process.env.LAN_TIMEOUT_MS) || 1000
+
+// Where presets and other saved settings are kept (JSON files)
+export const DATA_DIR = process.env.DATA_DIR || fileURLToPath(new URL('../data', import.meta.url))
+
+// Optional: the Cloudflare worker, so presets saved here can be applied by its cron rules.
+// WORKER_TOKEN needs the "control" scope.
+export const WORKER_URL = process.env.WORKER_URL || null
+export const WORKER_TOKEN = process.env.WORKER_TOKEN || null
+
+// Local scheduler: how late a missed rule may still run (same meaning as the worker's setting)
+export const SCHEDULE_CATCH_UP_MINUTES = Number(process.env.SCHEDULE_CATCH_UP_MINUTES) || 120
+
+// Failure alerts: JSON list of webhook sinks (see shared/alerts.js), e.g.
+//   ALERT_WEBHOOKS='[{"type":"ntfy","url":"https://ntfy.sh/my-lights"}]'
+// and how long an alert is held back after it was sent once
+export const ALERT_WEBHOOKS = process.env.ALERT_WEBHOOKS || null
+export const ALERT_DEDUPE_MINUTES = Number(process.env.ALERT_DEDUPE_MINUTES) || 360
+
+// Optional MQTT bridge with Home Assistant discovery (see server/mqtt.js), e.g.
+//   MQTT_URL=mqtt://homeassistant.local:1883
+export const MQTT_URL = process.env.MQTT_URL || null
+export const MQTT_USERNAME = process.env.MQTT_USERNAME || null
+export const MQTT_PASSWORD = process.env.MQTT_PASSWORD || null
+export const MQTT_PREFIX = process.env.MQTT_PREFIX || 'govee'
+export const HA_DISCOVERY_PREFIX = process.env.HA_DISCOVERY_PREFIX || 'homeassistant'
+// How often the bridge re-reads every device (one call per device) to pick up changes made
+// elsewhere; commands sent through the server are published straight away regardless
+export const MQTT_REFRESH_SECONDS = Number(process.env.MQTT_REFRESH_SECONDS) || 900
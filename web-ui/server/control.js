@@ -0,0 +1,53 @@
+// Sending commands to devices from the server. Every successful command is folded into
+// the shared state store, so open dashboards see the change straight away.
+
+import { fitCapability, GoveeError, stateFromCapability, withRetry } from '../../shared/govee.js'
+import { BATCH_CONCURRENCY } from './config.js'
+import { govee, transportFor } from './govee.js'
+import { updateState } from './state.js'
+
+// Values are clamped to the device's advertised range (brightness, color temperature);
+// a capability the device doesn't have is rejected without calling Govee.
+// Rapid calls for the same device and capability may be coalesced by the request queue;
+// the state recorded is whichever value was sent last, with the transport it went over.
+export async function controlDevice(device, cap, source = 'ui') {
+  const fitted = fitCapability(device, cap)
+  if (!fitted) throw new GoveeError(`${device.deviceName || device.device} doesn't support ${cap.instance}`, { kind: 'invalid' })
+  const data = await withRetry(() => govee.control(device, fitted))
+  updateState(device.device, { ...stateFromCapability(data.capability), transport: transportFor(device) }, source)
+  return data
+}
+
+// Run capabilities on one device in order, stopping at the first failure. Capabilities
+// the device doesn't have are left out; if that leaves nothing, the device is skipped.
+// Resolves to { device, name, success, skipped?, error?, kind? } and never rejects.
+export async function runDeviceCommands(device, caps, source = 'ui') {
+  const supported = caps.filter(cap => fitCapability(device, cap))
+  if (supported.length === 0) return { device: device.device, name: device.deviceName, success: true, skipped: true }
+  try {
+    for (const cap of supported) {
+      await controlDevice(device, cap, source)
+    }
+    return { device: device.device, name: device.deviceName, success: true }
+  } catch (err) {
+    return { device: device.device, name: device.deviceName, success: false, error: err.message, kind: err.kind || null }
+  }
+}
+
+/**
+ * Run command lists on many devices, at most `concurrency` devices at a time; each
+ * device's commands still go in order. `jobs` is [{ device, capabilities }].
+ * Resolves to runDeviceCommands() results in the same order as `jobs`.
+ */
+export async function runBatch(jobs, { concurrency = BATCH_CONCURRENCY, source = 'ui' } = {}) {
+  const results = new Array(jobs.length)
+  let next = 0
+  const worker = async () => {
+    while (next < jobs.length) {
+      const i = next++
+      results[i] = await runDeviceCommands(jobs[i].device, jobs[i].capabilities, source)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, worker))
+  return results
+}
@@ -0,0 +1,27 @@
+// Server-Sent Events stream of device state. Sends a snapshot on connect, then one
+// `state` event per change, whether it came from /api/control or from polling.
+
+import { getStates, subscribe } from './state.js'
+
+const HEARTBEAT_MS = 25000
+
+export function eventsHandler(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  })
+  res.flushHeaders()
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  send('snapshot', { states: getStates() })
+
+  const unsubscribe = subscribe(event => send('state', event))
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+}
@@ -0,0 +1,100 @@
+import { createGoveeClient, parseState } from '../../shared/govee.js'
+import {
+  API_KEY, CONTROL_DEBOUNCE_MS, GOVEE_API_BASE, GOVEE_DAILY_QUOTA, GOVEE_LAN, GOVEE_RATE_PER_MINUTE, LAN_SCAN_SECONDS,
+  LAN_TIMEOUT_MS
+} from './config.js'
+import { createQuota, createRequestQueue } from './ratelimit.js'
+import { createLanTransport } from './lan.js'
+
+export const queue = createRequestQueue({ perMinute: GOVEE_RATE_PER_MINUTE })
+export const quota = createQuota({ dailyLimit: GOVEE_DAILY_QUOTA })
+
+// Count every response against the quota; a 429 holds the whole queue for Retry-After
+async function trackedFetch(url, options) {
+  const res = await fetch(url, options)
+  quota.record(res.headers)
+  if (res.status === 429) {
+    queue.pause(parseInt(res.headers.get('Retry-After'), 10) || 60)
+  }
+  return res
+}
+
+const client = createGoveeClient({ apiKey: API_KEY, baseUrl: GOVEE_API_BASE, source: 'ui', fetch: trackedFetch })
+
+// Queued control calls with the same key replace each other. Segment commands only
+// replace commands for the same segments.
+function controlKey(device, cap) {
+  const segments = cap.value?.segment ? `:${cap.value.segment.join(',')}` : ''
+  return `control:${device.device}:${cap.instance}${segments}`
+}
+
+export const lan = GOVEE_LAN ? createLanTransport({ scanSeconds: LAN_SCAN_SECONDS, timeoutMs: LAN_TIMEOUT_MS }) : null
+
+export function startLan() {
+  return lan ? lan.start() : Promise.resolve(false)
+}
+
+// Which way commands for a device currently go: 'lan' or 'cloud'
+export function transportFor(device) {
+  return lan?.reachable(device) ? 'lan' : 'cloud'
+}
+
+// Try the LAN first when the device is reachable there (and `cap` has a LAN command);
+// any LAN failure falls back to the cloud
+async function preferLan(device, cap, lanCall, cloudCall) {
+  if (lan?.reachable(device) && (!cap || lan.supports(cap))) {
+    try {
+      return await lanCall()
+    } catch (err) {
+      console.error(`${err.message}, using the cloud`)
+    }
+  }
+  return cloudCall()
+}
+
+// The Govee client with every cloud call queued. Queued calls for the same device (and the
+// same capability, for control) collapse into the latest one, so control responses carry
+// the `capability` that was actually sent; control calls are debounced first. LAN calls skip the queue: they don't count
+// against the API quota.
+export const govee = {
+  listDevices: () => queue.run(() => client.listDevices(), 'devices'),
+  getState: device => preferLan(device, null,
+    () => lan.getState(device),
+    () => queue.run(() => client.getState(device), `state:${device.device}`)),
+  getScenes: device => queue.run(() => client.getScenes(device), `scenes:${device.device}`),
+  getDiyScenes: device => queue.run(() => client.getDiyScenes(device), `diy:${device.device}`),
+  control: (device, cap) => preferLan(device, cap,
+    async () => ({ ...await lan.control(device, cap), capability: cap }),
+    () => queue.run(async () => ({ ...await client.control(device, cap), capability: cap }), controlKey(device, cap),
+      { debounceMs: CONTROL_DEBOUNCE_MS }))
+}
+
+// Last device list from Govee, used to look up a device's SKU by ID
+let deviceCache = []
+
+export async function getDevices({ refresh = false } = {}) {
+  if (refresh || deviceCache.length === 0) {
+    deviceCache = await govee.listDevices()
+  }
+  return deviceCache
+}
+
+export async function findDevice(id) {
+  return (await getDevices()).find(d => d.device === id) || null
+}
+
+// Current state of one device, with the transport it was read over; failures come back
+// as an error field so one unreachable lamp doesn't fail the whole list
+export async function readState(device) {
+  try {
+    const capabilities = await govee.getState(device)
+    return { ...parseState(capabilities), transport: transportFor(device), updatedAt: new Date().toISOString() }
+  } catch (err) {
+    return {
+      online: err.kind === 'offline' ? false : null,
+      error: err.message,
+      kind: err.kind || null,
+      updatedAt: new Date().toISOString()
+    }
+  }
+}
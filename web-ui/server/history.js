@@ -0,0 +1,39 @@
+// Run history for the dashboard server: dashboard, CLI and MQTT control calls, preset applies
+// and local schedule runs, with each device's result. Same entry format as the worker's /history
+// (shared/history.js), kept in data/history/ with one file per day.
+//
+// GET /api/history?days=&from=&to=&source=&kind=&device=&ok=&limit=
+
+import { Router } from 'express'
+import { createHistory, HISTORY_RETENTION_DAYS, historyQuery } from '../../shared/history.js'
+import { dailyLogKV } from './store.js'
+
+export const history = createHistory(dailyLogKV('history', { retentionDays: HISTORY_RETENTION_DAYS }))
+
+// Sources an API caller may name for its commands (the CLI sends commands through a running
+// server); anything else is recorded as 'ui'
+const CLIENT_SOURCES = ['ui', 'cli']
+
+export function clientSource(body) {
+  return CLIENT_SOURCES.includes(body?.source) ? body.source : 'ui'
+}
+
+// Record an entry; a failed write is logged rather than failing the command it describes
+export async function recordHistory(entry) {
+  try {
+    return await history.record(entry)
+  } catch (err) {
+    console.error('Failed to record history:', err.message)
+    return null
+  }
+}
+
+export const historyRouter = Router()
+
+historyRouter.get('/', async (req, res) => {
+  try {
+    res.json({ entries: await history.query(historyQuery(new URLSearchParams(req.query))) })
+  } catch (err) {
+    res.status(400).json({ error: err.message })
+  }
+})
@@ -0,0 +1,6 @@
+// HTTP status to answer with for each GoveeError kind
+const ERROR_STATUS = { auth: 502, rate_limit: 429, offline: 409, invalid: 400, server: 502, network: 502 }
+
+export function sendError(res, err) {
+  res.status(ERROR_STATUS[err.kind] || 500).json({ error: err.message, kind: err.kind || null })
+}
@@ -0,0 +1,209 @@
+// Govee LAN API: control devices on the local network over UDP, without the cloud. Devices
+// (with "LAN Control" enabled in the Govee app) answer a multicast scan with their IP, then
+// take JSON commands on port 4003 and send status replies back to port 4002.
+//
+//   scan       -> 239.255.255.250:4001  { msg: { cmd: 'scan', data: { account_topic: 'reserve' } } }
+//   turn       -> <ip>:4003             { msg: { cmd: 'turn', data: { value: 1 } } }
+//   brightness -> <ip>:4003             { msg: { cmd: 'brightness', data: { value: 40 } } }
+//   colorwc    -> <ip>:4003             { msg: { cmd: 'colorwc', data: { color: { r, g, b }, colorTemInKelvin } } }
+//   devStatus  -> <ip>:4003, reply on 4002 with { onOff, brightness, color, colorTemInKelvin }
+//
+// Only power, brightness, color and color temperature exist on LAN; everything else
+// (scenes, segments, music) still goes through the cloud. The LAN API doesn't acknowledge
+// commands, so each one is followed by a devStatus read-back after a short settle delay,
+// retried a few times while the device catches up; a device that doesn't answer, or still
+// reports something else, fails the command so the caller can fall back to the cloud.
+
+import dgram from 'node:dgram'
+import { CAPABILITY_TYPES, GoveeError, packRgb, unpackRgb } from '../../shared/govee.js'
+
+const MULTICAST_ADDRESS = '239.255.255.250'
+const SCAN_PORT = 4001
+const LISTEN_PORT = 4002
+const COMMAND_PORT = 4003
+
+// A device counts as reachable until it misses this many scans in a row
+const MISSED_SCANS = 3
+
+// The LAN message for a capability, or null if it has no LAN equivalent
+function lanCommand(cap) {
+  switch (cap.instance) {
+    case 'powerSwitch': return { cmd: 'turn', data: { value: cap.value ? 1 : 0 } }
+    case 'brightness': return { cmd: 'brightness', data: { value: cap.value } }
+    case 'colorRgb': {
+      const [r, g, b] = unpackRgb(cap.value)
+      return { cmd: 'colorwc', data: { color: { r, g, b }, colorTemInKelvin: 0 } }
+    }
+    case 'colorTemperatureK': return { cmd: 'colorwc', data: { color: { r: 0, g: 0, b: 0 }, colorTemInKelvin: cap.value } }
+    default: return null
+  }
+}
+
+// Devices round colors a little, and report white as a color temperature
+const RGB_TOLERANCE = 8
+const KELVIN_TOLERANCE = 100
+
+// Status read-backs after a command: the first after SETTLE_MS, then every SETTLE_MS until
+// the device reports the change or CONFIRM_READS replies have said otherwise
+const SETTLE_MS = 150
+const CONFIRM_READS = 3
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+// Whether a devStatus reply shows the command took effect
+function confirms(command, status) {
+  switch (command.cmd) {
+    case 'turn': return Number(status.onOff) === command.data.value
+    case 'brightness': return status.brightness === command.data.value
+    case 'colorwc': {
+      const kelvin = command.data.colorTemInKelvin
+      if (kelvin) return Math.abs((status.colorTemInKelvin || 0) - kelvin) <= KELVIN_TOLERANCE
+      const { color = {} } = status
+      return ['r', 'g', 'b'].every(c => Math.abs(command.data.color[c] - color[c]) <= RGB_TOLERANCE)
+    }
+    default: return false
+  }
+}
+
+// A devStatus reply in /device/state form, so parseState() reads both transports alike
+function stateCapabilities(status) {
+  const report = (type, instance, value) => ({ type, instance, state: { value } })
+  const caps = [
+    report(CAPABILITY_TYPES.online, 'online', true),
+    report(CAPABILITY_TYPES.onOff, 'powerSwitch', status.onOff ? 1 : 0),
+    report(CAPABILITY_TYPES.range, 'brightness', status.brightness)
+  ]
+  if (status.colorTemInKelvin) {
+    caps.push(report(CAPABILITY_TYPES.colorSetting, 'colorTemperatureK', status.colorTemInKelvin))
+  } else if (status.color) {
+    caps.push(report(CAPABILITY_TYPES.colorSetting, 'colorRgb', packRgb([status.color.r, status.color.g, status.color.b])))
+  }
+  return caps
+}
+
+export function createLanTransport({ scanSeconds, timeoutMs, settleMs = SETTLE_MS, log = console }) {
+  const found = new Map() // device ID -> { ip, sku, seenAt }
+  const pending = new Map() // ip -> [resolve] waiting for a devStatus reply
+  let socket = null
+
+  function handle(message, rinfo) {
+    let msg
+    try {
+      msg = JSON.parse(message.toString()).msg
+    } catch {
+      return
+    }
+    if (msg?.cmd === 'scan' && msg.data?.device) {
+      if (!found.has(msg.data.device)) log.log(`LAN: found ${msg.data.sku} ${msg.data.device} at ${msg.data.ip || rinfo.address}`)
+      found.set(msg.data.device, { ip: msg.data.ip || rinfo.address, sku: msg.data.sku, seenAt: Date.now() })
+    }
+    if (msg?.cmd === 'devStatus') {
+      const waiters = pending.get(rinfo.address) || []
+      pending.delete(rinfo.address)
+      waiters.forEach(resolve => resolve(msg.data))
+    }
+  }
+
+  function send(ip, port, msg) {
+    return new Promise((resolve, reject) => {
+      if (!socket) return reject(new GoveeError('LAN transport not started', { kind: 'network' }))
+      socket.send(JSON.stringify({ msg }), port, ip, err => err ? reject(new GoveeError(`LAN: ${err.message}`, { kind: 'network' })) : resolve())
+    })
+  }
+
+  function scan() {
+    send(MULTICAST_ADDRESS, SCAN_PORT, { cmd: 'scan', data: { account_topic: 'reserve' } })
+      .catch(err => log.error('LAN scan failed:', err.message))
+  }
+
+  function lookup(device) {
+    const entry = found.get(device.device)
+    if (!entry) throw new GoveeError(`LAN: ${device.deviceName || device.device} not found`, { kind: 'network' })
+    return entry
+  }
+
+  // Ask a device for its devStatus. A device that doesn't answer in time is treated as
+  // gone until the next scan finds it.
+  async function requestStatus(device) {
+    const entry = lookup(device)
+    let resolveReply
+    const reply = new Promise(resolve => {
+      resolveReply = resolve
+      pending.set(entry.ip, [...(pending.get(entry.ip) || []), resolve])
+    })
+    let timer
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new GoveeError(`LAN: no status from ${device.deviceName || device.device}`, { kind: 'network' })), timeoutMs)
+    })
+    try {
+      await send(entry.ip, COMMAND_PORT, { cmd: 'devStatus', data: {} })
+      const status = await Promise.race([reply, timeout])
+      entry.seenAt = Date.now()
+      return status
+    } catch (err) {
+      found.delete(device.device)
+      throw err
+    } finally {
+      clearTimeout(timer)
+      // Drop our waiter if no reply came, so it doesn't pile up for this IP
+      const waiters = (pending.get(entry.ip) || []).filter(w => w !== resolveReply)
+      if (waiters.length > 0) pending.set(entry.ip, waiters)
+      else pending.delete(entry.ip)
+    }
+  }
+
+  return {
+    // Listen for replies and scan every `scanSeconds`. Resolves false if the port can't be
+    // opened (e.g. EADDRINUSE: another LAN client is running); everything then goes to the cloud.
+    start() {
+      return new Promise(resolve => {
+        socket = dgram.createSocket('udp4')
+        socket.on('message', handle)
+        socket.once('error', err => {
+          log.error(`LAN transport disabled: ${err.code === 'EADDRINUSE' ? `UDP port ${LISTEN_PORT} is in use` : err.message}`)
+          socket.close()
+          socket = null
+          resolve(false)
+        })
+        socket.bind(LISTEN_PORT, () => {
+          // Later socket errors are logged; sends fail on their own
+          socket.removeAllListeners('error')
+          socket.on('error', err => log.error(`LAN: ${err.message}`))
+          scan()
+          setInterval(scan, scanSeconds * 1000).unref()
+          resolve(true)
+        })
+        socket.unref()
+      })
+    },
+
+    // Answered a recent scan or status request
+    reachable(device) {
+      const entry = found.get(device.device)
+      return Boolean(entry) && Date.now() - entry.seenAt < scanSeconds * 1000 * MISSED_SCANS
+    },
+
+    supports: cap => lanCommand(cap) !== null,
+
+    // Send the command, then read the device back until it shows the change
+    async control(device, cap) {
+      const command = lanCommand(cap)
+      if (!command) throw new GoveeError(`LAN: ${cap.instance} has no LAN command`, { kind: 'invalid' })
+      await send(lookup(device).ip, COMMAND_PORT, command)
+      for (let read = 0; read < CONFIRM_READS; read++) {
+        await sleep(settleMs)
+        if (confirms(command, await requestStatus(device))) return { code: 200, msg: 'success' }
+      }
+      throw new GoveeError(`LAN: ${device.deviceName || device.device} didn't apply ${cap.instance}`, { kind: 'network' })
+    },
+
+    // /device/state-style capabilities from a devStatus reply
+    async getState(device) {
+      return stateCapabilities(await requestStatus(device))
+    },
+
+    devices() {
+      return [...found].map(([device, entry]) => ({ device, ...entry, seenAt: new Date(entry.seenAt).toISOString() }))
+    }
+  }
+}
@@ -0,0 +1,190 @@
+// MQTT bridge for Home Assistant (or anything else that speaks MQTT). Off unless MQTT_URL
+// is set. Every device is announced through Home Assistant's MQTT discovery as a light with
+// the JSON schema, its state is published on every change, and commands are run through
+// the same control path as /api/control:
+//
+//   homeassistant/light/<id>/config   discovery config (retained)
+//   govee/<id>/state                  { state, brightness, color_mode, color, color_temp, effect } (retained)
+//   govee/<id>/set                    { state: 'ON', brightness: 40, color: { r, g, b }, color_temp: 2700, effect: 'Sunset' }
+//   govee/status                      'online' / 'offline' (retained, offline is the last will)
+//
+// <id> is the device ID without separators, e.g. AB:CD:... -> abcd...
+
+import { capability, colorTemperatureRange, describeCapability, findCapability } from '../../shared/govee.js'
+import {
+  GOVEE_DAILY_QUOTA, HA_DISCOVERY_PREFIX, MQTT_PASSWORD, MQTT_PREFIX, MQTT_REFRESH_SECONDS, MQTT_URL, MQTT_USERNAME
+} from './config.js'
+import { getDevices, govee } from './govee.js'
+import { runDeviceCommands } from './control.js'
+import { getStates, refreshStates, subscribe, subscriberCount } from './state.js'
+import { recordHistory } from './history.js'
+
+const DEVICE_RETRY_MS = 5 * 1000
+const DEVICE_RETRY_MAX_MS = 5 * 60 * 1000
+
+const topicId = device => device.device.replace(/[^a-zA-Z0-9]/g, '').toLowerCase()
+
+const statusTopic = `${MQTT_PREFIX}/status`
+const stateTopic = device => `${MQTT_PREFIX}/${topicId(device)}/state`
+const commandTopic = device => `${MQTT_PREFIX}/${topicId(device)}/set`
+
+function colorModes(device) {
+  const modes = []
+  if (findCapability(device, 'colorRgb')) modes.push('rgb')
+  if (findCapability(device, 'colorTemperatureK')) modes.push('color_temp')
+  if (modes.length) return modes
+  return [findCapability(device, 'brightness') ? 'brightness' : 'onoff']
+}
+
+// Home Assistant discovery config for one device; `scenes` are its /device/scenes options
+function discoveryConfig(device, scenes) {
+  const modes = colorModes(device)
+  const kelvin = colorTemperatureRange(device)
+  return {
+    name: null, // the entity takes the device's name
+    unique_id: `govee_${topicId(device)}`,
+    schema: 'json',
+    state_topic: stateTopic(device),
+    command_topic: commandTopic(device),
+    availability_topic: statusTopic,
+    supported_color_modes: modes,
+    brightness: !modes.includes('onoff'),
+    brightness_scale: 100,
+    ...(modes.includes('color_temp') && { color_temp_kelvin: true, min_kelvin: kelvin.min, max_kelvin: kelvin.max }),
+    ...(scenes.length > 0 && { effect: true, effect_list: scenes.map(s => s.name) }),
+    device: { identifiers: [device.device], name: device.deviceName, model: device.sku, manufacturer: 'Govee' }
+  }
+}
+
+// A state from the state store in the JSON schema's shape
+function statePayload(device, state, scenes) {
+  const scene = state.scene && scenes.find(s => s.name === state.scene || JSON.stringify(s.value) === JSON.stringify(state.scene))
+  const [mode] = colorModes(device)
+  return {
+    state: state.power ? 'ON' : 'OFF',
+    ...(state.brightness !== null && state.brightness !== undefined && { brightness: state.brightness }),
+    ...(state.color
+      ? { color_mode: 'rgb', color: { r: state.color[0], g: state.color[1], b: state.color[2] } }
+      : state.colorTemperatureK
+        ? { color_mode: 'color_temp', color_temp: state.colorTemperatureK }
+        : { color_mode: mode }),
+    effect: scene?.name || null
+  }
+}
+
+// Capabilities for a JSON schema command. Turning off ignores everything else; any other
+// change implies turning on, as Home Assistant expects, but the power command is only
+// spent when it's asked for or the light isn't already on (`state` is the cached state).
+function commandCapabilities(command, scenes, state) {
+  if (command.state === 'OFF') return [capability.power(false)]
+  const caps = []
+  if (command.state === 'ON' || state?.power !== true) caps.push(capability.power(true))
+  if (command.brightness !== undefined) caps.push(capability.brightness(command.brightness))
+  if (command.color) caps.push(capability.rgb([command.color.r, command.color.g, command.color.b]))
+  if (command.color_temp !== undefined) {
+    // Kelvin with color_temp_kelvin; older Home Assistant versions send mireds (< 1000)
+    const kelvin = command.color_temp < 1000 ? 1000000 / command.color_temp : command.color_temp
+    caps.push(capability.colorTemperature(kelvin))
+  }
+  if (command.effect) {
+    const scene = scenes.find(s => s.name === command.effect)
+    if (!scene) throw new Error(`Unknown effect: ${command.effect}`)
+    caps.push(capability.scene(scene.value))
+  }
+  if (!caps.length) throw new Error('Command changes nothing')
+  return caps
+}
+
+// The device list, retried with backoff (5s, 10s, ... up to 5 minutes) until Govee answers:
+// the bridge is started once, so giving up here would leave it off until a restart
+async function waitForDevices() {
+  for (let delay = DEVICE_RETRY_MS; ; delay = Math.min(delay * 2, DEVICE_RETRY_MAX_MS)) {
+    try {
+      return await getDevices()
+    } catch (err) {
+      console.error(`MQTT: device list failed (${err.message}), retrying in ${delay / 1000}s`)
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+}
+
+export async function startMqtt() {
+  if (!MQTT_URL) return null
+  const { default: mqtt } = await import('mqtt')
+
+  const devices = await waitForDevices()
+  const scenes = new Map()
+  for (const device of devices.filter(d => findCapability(d, 'lightScene'))) {
+    try {
+      scenes.set(device.device, await govee.getScenes(device))
+    } catch (err) {
+      console.error(`MQTT: no scenes for ${device.deviceName}:`, err.message)
+    }
+  }
+  const scenesOf = device => scenes.get(device.device) || []
+
+  const client = mqtt.connect(MQTT_URL, {
+    username: MQTT_USERNAME || undefined,
+    password: MQTT_PASSWORD || undefined,
+    will: { topic: statusTopic, payload: 'offline', retain: true, qos: 1 }
+  })
+  const publish = (topic, payload) => client.publish(topic, typeof payload === 'string' ? payload : JSON.stringify(payload), { retain: true, qos: 1 })
+
+  const publishState = (device, state) => {
+    if (state && !state.error) publish(stateTopic(device), statePayload(device, state, scenesOf(device)))
+  }
+
+  // (Re)announce everything on every connect: the broker may have lost retained messages
+  client.on('connect', () => {
+    console.log(`MQTT: connected to ${MQTT_URL}, bridging ${devices.length} devices`)
+    publish(statusTopic, 'online')
+    const states = getStates()
+    for (const device of devices) {
+      publish(`${HA_DISCOVERY_PREFIX}/light/${topicId(device)}/config`, discoveryConfig(device, scenesOf(device)))
+      publishState(device, states[device.device])
+    }
+    client.subscribe(`${MQTT_PREFIX}/+/set`, { qos: 1 })
+  })
+  client.on('error', err => console.error('MQTT:', err.message))
+
+  client.on('message', async (topic, message) => {
+    const device = devices.find(d => commandTopic(d) === topic)
+    if (!device) return
+    let caps
+    try {
+      caps = commandCapabilities(JSON.parse(message.toString()), scenesOf(device), getStates()[device.device])
+    } catch (err) {
+      return console.error(`MQTT: bad command for ${device.deviceName}:`, err.message)
+    }
+    const result = await runDeviceCommands(device, caps, 'mqtt')
+    if (!result.success) console.error(`MQTT: ${device.deviceName}: ${result.error}`)
+    await recordHistory({
+      source: 'mqtt',
+      kind: 'control',
+      action: caps.map(describeCapability).join(', '),
+      target: device.deviceName,
+      ok: result.success,
+      results: [result]
+    })
+  })
+
+  // Publishes every change the server sees (commands, dashboard polls) without keeping the
+  // dashboard poll running
+  subscribe(({ device: id, state }) => {
+    const device = devices.find(d => d.device === id)
+    if (device && client.connected) publishState(device, state)
+  }, { poll: false })
+
+  // Changes made elsewhere (the Govee app, the cron worker) show up on a slow refresh of
+  // its own, skipped while a dashboard is polling anyway
+  const refresh = () => refreshStates('mqtt').catch(err => console.error('MQTT: state read failed:', err.message))
+  refresh()
+  setInterval(() => subscriberCount() === 0 && refresh(), MQTT_REFRESH_SECONDS * 1000).unref()
+  const dailyCalls = Math.round(devices.length * 86400 / MQTT_REFRESH_SECONDS)
+  if (dailyCalls > GOVEE_DAILY_QUOTA / 2) {
+    console.warn(`MQTT: refreshing ${devices.length} devices every ${MQTT_REFRESH_SECONDS}s is about ${dailyCalls} API calls a day ` +
+      `(daily quota ${GOVEE_DAILY_QUOTA}, shared with the dashboard and the cron worker); raise MQTT_REFRESH_SECONDS`)
+  }
+
+  return client
+}
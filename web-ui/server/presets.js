@@ -0,0 +1,81 @@
+// Saved presets: GET/POST /api/presets, DELETE /api/presets/:name,
+// POST /api/presets/:name/apply (body: { source? }, see clientSource in history.js)
+
+import { Router } from 'express'
+import { lookCommands, snapshotPreset, validatePreset } from '../../shared/presets.js'
+import { getDevices } from './govee.js'
+import { runBatch } from './control.js'
+import { refreshStates } from './state.js'
+import { jsonFile } from './store.js'
+import { sendError } from './http.js'
+import { deletePresetFromWorker, syncPresetToWorker } from './workerSync.js'
+import { clientSource, recordHistory } from './history.js'
+
+const file = jsonFile('presets.json', [])
+
+export async function listPresets() {
+  return file.read()
+}
+
+export async function findPreset(name) {
+  return (await listPresets()).find(p => p.name.toLowerCase() === String(name).toLowerCase()) || null
+}
+
+// Apply each device's look; a few devices at a time, commands per device in order
+export async function applyPreset(preset, source = 'ui') {
+  const devices = await getDevices()
+  const jobs = devices.filter(d => preset.devices[d.device])
+    .map(device => ({ device, capabilities: lookCommands(preset.devices[device.device]) }))
+  return runBatch(jobs, { source })
+}
+
+export const presetsRouter = Router()
+
+presetsRouter.get('/', async (req, res) => {
+  res.json({ presets: await listPresets() })
+})
+
+// Save the current look of every device under a name (replaces a preset with the same name).
+// Pass `devices` to save an explicit look instead of reading it from Govee.
+presetsRouter.post('/', async (req, res) => {
+  try {
+    const body = req.body || {}
+    const name = String(body.name || '').trim()
+    const preset = body.devices
+      ? { name, createdAt: new Date().toISOString(), devices: body.devices }
+      : snapshotPreset(name, await refreshStates('request'))
+    validatePreset(preset)
+
+    const presets = (await listPresets()).filter(p => p.name.toLowerCase() !== name.toLowerCase())
+    await file.write([...presets, preset])
+    await syncPresetToWorker(preset)
+    res.status(201).json(preset)
+  } catch (err) {
+    if (!err.kind) return res.status(400).json({ error: err.message })
+    sendError(res, err)
+  }
+})
+
+presetsRouter.delete('/:name', async (req, res) => {
+  const presets = await listPresets()
+  const remaining = presets.filter(p => p.name.toLowerCase() !== req.params.name.toLowerCase())
+  if (remaining.length === presets.length) return res.status(404).json({ error: `Unknown preset: ${req.params.name}` })
+  await file.write(remaining)
+  await deletePresetFromWorker(req.params.name)
+  res.status(204).end()
+})
+
+presetsRouter.post('/:name/apply', async (req, res) => {
+  try {
+    const preset = await findPreset(req.params.name)
+    if (!preset) return res.status(404).json({ error: `Unknown preset: ${req.params.name}` })
+    const source = clientSource(req.body)
+    const results = await applyPreset(preset, source)
+    const success = results.every(r => r.success)
+    await recordHistory({ source, kind: 'preset', action: `preset ${preset.name}`, target: `${results.length} devices`, ok: success, results })
+    res.json({ preset: preset.name, success, results })
+  } catch (err) {
+    console.error('Preset apply failed:', err)
+    sendError(res, err)
+  }
+})
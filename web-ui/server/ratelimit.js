@@ -0,0 +1,140 @@
+// Keeps the server within Govee's API quotas, which are per key and shared with the cron
+// worker. Every Govee call goes through one queue that starts at most N calls a minute
+// and stops for the whole key when Govee answers 429. Queued calls with the same key
+// (e.g. one device's brightness) are coalesced: the last write wins and every caller
+// gets its result. A keyed call never starts while another call with that key is still
+// in flight, and calls made with `debounceMs` wait that long for a newer write first, so
+// dragging a slider sends a handful of calls rather than one per pixel even when the
+// per-minute budget is far from used up. The daily quota comes from Govee's rate-limit
+// headers when present, otherwise from our own count.
+
+// A debounced call waits at most this many debounce periods after its first write, so a
+// long drag still reaches the lamp while it's going on
+const MAX_DEBOUNCE_PERIODS = 4
+
+export function createRequestQueue({ perMinute }) {
+  const tasks = [] // { key, fn, waiters: [{ resolve, reject }], readyAt, deadline }, not started yet
+  const inFlight = new Set() // keys of calls that have started and not finished
+  const started = [] // start times within the last minute
+  let pausedUntil = 0
+  let timer = null
+
+  function drain() {
+    clearTimeout(timer)
+    timer = null
+    for (;;) {
+      const now = Date.now()
+      while (started.length > 0 && started[0] <= now - 60000) started.shift()
+      // Calls whose key is in flight are picked up again when that call finishes
+      const waiting = tasks.filter(t => !t.key || !inFlight.has(t.key))
+      if (waiting.length === 0) return
+
+      const rateWait = Math.max(pausedUntil - now, started.length >= perMinute ? started[0] + 60000 - now : 0)
+      const task = rateWait > 0 ? null : waiting.find(t => t.readyAt <= now)
+      if (!task) {
+        const wait = Math.max(rateWait, Math.min(...waiting.map(t => t.readyAt)) - now)
+        timer = setTimeout(drain, Math.max(wait, 1))
+        return
+      }
+
+      tasks.splice(tasks.indexOf(task), 1)
+      started.push(now)
+      if (task.key) inFlight.add(task.key)
+      Promise.resolve().then(task.fn).then(
+        value => task.waiters.forEach(w => w.resolve(value)),
+        err => task.waiters.forEach(w => w.reject(err))
+      ).finally(() => {
+        if (task.key) inFlight.delete(task.key)
+        drain()
+      })
+    }
+  }
+
+  return {
+    // Run `fn` when the rate allows. A queued task with the same `key` is replaced by this
+    // one. With `debounceMs`, the call waits that long for a newer write with the same key.
+    run(fn, key = null, { debounceMs = 0 } = {}) {
+      return new Promise((resolve, reject) => {
+        const now = Date.now()
+        const queued = key && tasks.find(t => t.key === key)
+        if (queued) {
+          queued.fn = fn
+          queued.waiters.push({ resolve, reject })
+          if (debounceMs) queued.readyAt = Math.min(now + debounceMs, queued.deadline)
+          drain()
+          return
+        }
+        tasks.push({
+          key,
+          fn,
+          waiters: [{ resolve, reject }],
+          readyAt: now + debounceMs,
+          deadline: now + debounceMs * MAX_DEBOUNCE_PERIODS
+        })
+        drain()
+      })
+    },
+
+    // Hold every queued call for `seconds` (after a 429)
+    pause(seconds) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + seconds * 1000)
+      drain()
+    },
+
+    stats() {
+      return {
+        queued: tasks.length,
+        inFlight: inFlight.size,
+        lastMinute: started.filter(t => t > Date.now() - 60000).length,
+        perMinute,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null
+      }
+    }
+  }
+}
+
+// Calls made today (UTC day, when Govee resets) and what Govee says is left
+export function createQuota({ dailyLimit }) {
+  let day = null
+  let used = 0
+  let reported = null // { remaining, limit, resetAt } from response headers
+
+  const today = () => new Date().toISOString().slice(0, 10)
+
+  function rollOver() {
+    if (day === today()) return
+    day = today()
+    used = 0
+    reported = null
+  }
+
+  return {
+    // Count a response and pick up Govee's own numbers from its headers
+    record(headers) {
+      rollOver()
+      used++
+      const remaining = parseInt(headers.get('API-RateLimit-Remaining') ?? headers.get('X-RateLimit-Remaining'), 10)
+      if (Number.isNaN(remaining)) return
+      const limit = parseInt(headers.get('API-RateLimit-Limit') ?? headers.get('X-RateLimit-Limit'), 10)
+      const reset = parseInt(headers.get('API-RateLimit-Reset') ?? headers.get('X-RateLimit-Reset'), 10)
+      reported = {
+        remaining,
+        limit: Number.isNaN(limit) ? null : limit,
+        resetAt: Number.isNaN(reset) ? null : new Date(reset * 1000).toISOString()
+      }
+    },
+
+    snapshot() {
+      rollOver()
+      const limit = reported?.limit ?? dailyLimit
+      return {
+        day,
+        used,
+        limit,
+        remaining: reported ? reported.remaining : Math.max(0, limit - used),
+        source: reported ? 'govee' : 'estimate',
+        resetAt: reported?.resetAt ?? new Date(Date.parse(day) + 86400000).toISOString()
+      }
+    }
+  }
+}
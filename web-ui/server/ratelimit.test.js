@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createQuota, createRequestQueue } from './ratelimit.js'
+
+const START = Date.parse('2026-03-10T23:58:00Z')
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START }))
+afterEach(() => mock.timers.reset())
+
+// Let settled calls' callbacks run (they're promise jobs, which the fake clock doesn't hold)
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve()
+}
+
+async function advance(ms) {
+  mock.timers.tick(ms)
+  await settle()
+}
+
+// A call that records when it ran and returns `value`
+function recorder() {
+  const calls = []
+  return {
+    calls,
+    call: value => () => {
+      calls.push({ value, at: Date.now() - START })
+      return value
+    }
+  }
+}
+
+test('writes with the same key queued behind an in-flight call are coalesced, last one wins', async () => {
+  const queue = createRequestQueue({ perMinute: 10 })
+  let finishFirst
+  const first = queue.run(() => new Promise(resolve => { finishFirst = resolve }), 'lamp:brightness')
+  const { calls, call } = recorder()
+  const second = queue.run(call(20), 'lamp:brightness')
+  const third = queue.run(call(30), 'lamp:brightness')
+  await settle()
+  assert.equal(queue.stats().queued, 1)
+  assert.deepEqual(calls, [])
+
+  finishFirst(10)
+  assert.deepEqual(await Promise.all([first, second, third]), [10, 30, 30])
+  assert.deepEqual(calls.map(c => c.value), [30])
+})
+
+test('a debounced write waits for newer writes, but no longer than its deadline', async () => {
+  const queue = createRequestQueue({ perMinute: 100 })
+  const { calls, call } = recorder()
+
+  queue.run(call(1), 'lamp:brightness', { debounceMs: 100 })
+  await advance(50)
+  queue.run(call(2), 'lamp:brightness', { debounceMs: 100 })
+  await advance(99)
+  assert.deepEqual(calls, [])
+  await advance(1)
+  assert.deepEqual(calls, [{ value: 2, at: 150 }])
+
+  // A drag that never stops still goes out after 4 debounce periods
+  for (let i = 0; i < 10; i++) {
+    queue.run(call(10 + i), 'lamp:color', { debounceMs: 100 })
+    await advance(50)
+  }
+  assert.deepEqual(calls[1], { value: 17, at: 150 + 400 })
+})
+
+test('starts at most perMinute calls in any minute', async () => {
+  const queue = createRequestQueue({ perMinute: 2 })
+  const { calls, call } = recorder()
+  const results = [queue.run(call('a')), queue.run(call('b')), queue.run(call('c'))]
+  await settle()
+  assert.deepEqual(calls.map(c => c.value), ['a', 'b'])
+  assert.equal(queue.stats().lastMinute, 2)
+
+  await advance(59999)
+  assert.equal(calls.length, 2)
+  await advance(1)
+  assert.deepEqual(calls[2], { value: 'c', at: 60000 })
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c'])
+})
+
+test('pause() holds every queued call until it runs out', async () => {
+  const queue = createRequestQueue({ perMinute: 10 })
+  const { calls, call } = recorder()
+  queue.pause(30)
+  queue.run(call('after 429'))
+  queue.run(call('other device'), 'lamp2:powerSwitch')
+  await advance(29999)
+  assert.deepEqual(calls, [])
+  assert.equal(queue.stats().pausedUntil, new Date(START + 30000).toISOString())
+
+  await advance(1)
+  assert.deepEqual(calls.map(c => c.value), ['after 429', 'other device'])
+  assert.equal(queue.stats().pausedUntil, null)
+})
+
+test('a failed call rejects every coalesced caller and the key is freed', async () => {
+  const queue = createRequestQueue({ perMinute: 10 })
+  const failed = queue.run(() => Promise.reject(new Error('HTTP 500')), 'lamp:powerSwitch')
+  await assert.rejects(failed, /HTTP 500/)
+  assert.equal(await queue.run(() => 'ok', 'lamp:powerSwitch'), 'ok')
+})
+
+test('the quota counts calls per UTC day and prefers the numbers Govee reports', async () => {
+  const quota = createQuota({ dailyLimit: 10000 })
+  quota.record(new Headers())
+  quota.record(new Headers())
+  assert.deepEqual(quota.snapshot(), {
+    day: '2026-03-10',
+    used: 2,
+    limit: 10000,
+    remaining: 9998,
+    source: 'estimate',
+    resetAt: '2026-03-11T00:00:00.000Z'
+  })
+
+  quota.record(new Headers({ 'API-RateLimit-Remaining': '9000', 'API-RateLimit-Limit': '9500', 'API-RateLimit-Reset': '1773187200' }))
+  assert.deepEqual(quota.snapshot(), {
+    day: '2026-03-10',
+    used: 3,
+    limit: 9500,
+    remaining: 9000,
+    source: 'govee',
+    resetAt: '2026-03-11T00:00:00.000Z'
+  })
+
+  // Midnight UTC starts a new day from our own count again
+  mock.timers.tick(2 * 60 * 1000)
+  assert.deepEqual(quota.snapshot(), {
+    day: '2026-03-11',
+    used: 0,
+    limit: 10000,
+    remaining: 10000,
+    source: 'estimate',
+    resetAt: '2026-03-12T00:00:00.000Z'
+  })
+})
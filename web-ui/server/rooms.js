@@ -0,0 +1,54 @@
+// Rooms: user-defined device groups, in the same shape as the worker's GROUPS config
+// (shared/groups.js), so schedule rules can target them with `group`:
+//
+//   { 'Living room': { devices: ['AB:CD:...', ...] }, Bedroom: { devices: [...] } }
+//
+// GET /api/rooms, PUT /api/rooms/:name (create, rename or reassign), DELETE /api/rooms/:name.
+// A device belongs to at most one room; assigning it moves it out of the others. Renaming a
+// room also renames it in the schedule rules that target it.
+
+import { Router } from 'express'
+import { jsonFile } from './store.js'
+import { renameRuleGroup } from './rules.js'
+
+const file = jsonFile('rooms.json', {})
+
+export async function listRooms() {
+  return file.read()
+}
+
+export const roomsRouter = Router()
+
+roomsRouter.get('/', async (req, res) => {
+  res.json({ rooms: await listRooms() })
+})
+
+// Body: { name?, devices: [deviceId] }. `name` renames the room.
+roomsRouter.put('/:name', async (req, res) => {
+  const body = req.body || {}
+  const name = String(body.name ?? req.params.name).trim()
+  const devices = body.devices
+  if (!name) return res.status(400).json({ error: 'Room needs a name' })
+  if (!Array.isArray(devices)) return res.status(400).json({ error: 'devices must be a list of device IDs' })
+
+  const rooms = await listRooms()
+  if (name !== req.params.name && rooms[name]) return res.status(409).json({ error: `Room ${name} already exists` })
+
+  const next = {}
+  for (const [room, group] of Object.entries(rooms)) {
+    if (room === req.params.name) continue
+    next[room] = { ...group, devices: (group.devices || []).filter(id => !devices.includes(id)) }
+  }
+  next[name] = { ...rooms[req.params.name], devices }
+  await file.write(next)
+  if (name !== req.params.name) await renameRuleGroup(req.params.name, name)
+  res.json({ rooms: next })
+})
+
+roomsRouter.delete('/:name', async (req, res) => {
+  const rooms = await listRooms()
+  if (!rooms[req.params.name]) return res.status(404).json({ error: `Unknown room: ${req.params.name}` })
+  delete rooms[req.params.name]
+  await file.write(rooms)
+  res.json({ rooms })
+})
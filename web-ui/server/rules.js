@@ -0,0 +1,23 @@
+// Schedule rules, kept in data/schedule.json. Edited through the schedule routes
+// (server/scheduler.js); rooms (server/rooms.js) rewrite them when a room is renamed.
+
+import { jsonFile } from './store.js'
+
+const file = jsonFile('schedule.json', [])
+
+export async function listRules() {
+  return file.read()
+}
+
+export async function writeRules(rules) {
+  await file.write(rules)
+}
+
+// Point rules that target room `from` at `to` instead. Returns how many changed.
+export async function renameRuleGroup(from, to) {
+  const rules = await listRules()
+  const renamed = rules.filter(rule => rule.group === from)
+  if (!renamed.length) return 0
+  await writeRules(rules.map(rule => (rule.group === from ? { ...rule, group: to } : rule)))
+  return renamed.length
+}
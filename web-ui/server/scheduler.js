@@ -0,0 +1,125 @@
+// In-process scheduler, for running the dashboard on a home box without the Cloudflare
+// worker. Rules use the same format and engine as the worker (shared/schedule.js,
+// shared/automation.js); they're edited from the dashboard and kept in data/schedule.json
+// (server/rules.js).
+//
+// GET/POST /api/schedule, PUT/DELETE /api/schedule/:id, POST /api/schedule/:id/test
+
+import { Router } from 'express'
+import { createAutomation } from '../../shared/automation.js'
+import { nextRun, validateRule } from '../../shared/schedule.js'
+import { addDays, localDate } from '../../shared/time.js'
+import { describeTarget, targetFrom, validateTarget } from '../../shared/groups.js'
+import { LOCATION, SCHEDULE_CATCH_UP_MINUTES } from './config.js'
+import { getDevices } from './govee.js'
+import { controlDevice } from './control.js'
+import { findPreset } from './presets.js'
+import { listRooms } from './rooms.js'
+import { history, recordHistory } from './history.js'
+import { alerts } from './alerts.js'
+import { jsonKV } from './store.js'
+import { listRules, writeRules } from './rules.js'
+
+const TICK_MS = 60 * 1000
+
+export const automation = createAutomation({
+  store: jsonKV('scheduler-state.json'),
+  client: {
+    listDevices: () => getDevices(),
+    control: (device, cap) => controlDevice(device, cap, 'schedule')
+  },
+  location: LOCATION,
+  catchUpMinutes: SCHEDULE_CATCH_UP_MINUTES,
+  getRules: listRules,
+  // Rules can target a room with `group`
+  getGroups: listRooms,
+  findPreset,
+  // controlDevice already applies the shared retry policy
+  retry: { attempts: 1 },
+  history,
+  source: 'schedule',
+  alerts
+})
+
+export function startScheduler() {
+  const tick = () => automation.tick(new Date())
+    .catch(err => console.error('Scheduler tick failed:', err.message))
+  tick()
+  const timer = setInterval(tick, TICK_MS)
+  timer.unref()
+  return timer
+}
+
+// Rule plus its next run and most recent ledger entry, for the dashboard
+async function describeRule(rule, now) {
+  const today = localDate(rule.timezone || LOCATION.timezone, now)
+  const [todayRun, yesterdayRun] = await Promise.all([
+    automation.ledger.get(rule.id, today),
+    automation.ledger.get(rule.id, addDays(today, -1))
+  ])
+  return { ...rule, nextRun: nextRun(rule, now, LOCATION), lastRun: todayRun || yesterdayRun || null }
+}
+
+async function parseRule(body, id) {
+  const rule = { ...body, id: id || body.id || `rule-${Date.now().toString(36)}` }
+  delete rule.nextRun
+  delete rule.lastRun
+  if (!rule.group) delete rule.group
+  validateTarget(targetFrom(rule), await listRooms())
+  return validateRule(rule)
+}
+
+export const scheduleRouter = Router()
+
+scheduleRouter.get('/', async (req, res) => {
+  const now = new Date()
+  const rules = await Promise.all((await listRules()).map(rule => describeRule(rule, now)))
+  res.json({ location: LOCATION, rules })
+})
+
+scheduleRouter.post('/', async (req, res) => {
+  let rule
+  try {
+    rule = await parseRule(req.body)
+  } catch (err) {
+    return res.status(400).json({ error: err.message })
+  }
+  const rules = await listRules()
+  if (rules.some(r => r.id === rule.id)) return res.status(409).json({ error: `Rule ${rule.id} already exists` })
+  await writeRules([...rules, rule])
+  res.status(201).json(await describeRule(rule, new Date()))
+})
+
+scheduleRouter.put('/:id', async (req, res) => {
+  let rule
+  try {
+    rule = await parseRule(req.body, req.params.id)
+  } catch (err) {
+    return res.status(400).json({ error: err.message })
+  }
+  const rules = await listRules()
+  const index = rules.findIndex(r => r.id === req.params.id)
+  if (index === -1) return res.status(404).json({ error: `Unknown rule: ${req.params.id}` })
+  rules[index] = rule
+  await writeRules(rules)
+  res.json(await describeRule(rule, new Date()))
+})
+
+scheduleRouter.delete('/:id', async (req, res) => {
+  const rules = await listRules()
+  const remaining = rules.filter(r => r.id !== req.params.id)
+  if (remaining.length === rules.length) return res.status(404).json({ error: `Unknown rule: ${req.params.id}` })
+  await writeRules(remaining)
+  res.status(204).end()
+})
+
+// Run a rule's action right now, without touching the ledger
+scheduleRouter.post('/:id/test', async (req, res) => {
+  const rule = (await listRules()).find(r => r.id === req.params.id)
+  if (!rule) return res.status(404).json({ error: `Unknown rule: ${req.params.id}` })
+  const results = []
+  const target = targetFrom(rule)
+  const ok = await automation.runAction(rule.action, target, new Date(), results)
+  await recordHistory({ source: 'ui', kind: 'test', ruleId: rule.id, trigger: rule.at, action: rule.action, target: describeTarget(target), ok, results })
+  res.json({ id: rule.id, ok, results })
+})
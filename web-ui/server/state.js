@@ -0,0 +1,75 @@
+// Last known state of every device, shared by all connected dashboards. Updated by
+// polling Govee and by successful control calls; every change is pushed to subscribers.
+
+import { offlineAlert } from '../../shared/alerts.js'
+import { getDevices, readState } from './govee.js'
+import { alerts } from './alerts.js'
+
+const states = new Map()
+const subscribers = new Set()
+const watchers = new Set() // subscribers that keep the poll running (open dashboards)
+
+export function getStates() {
+  return Object.fromEntries(states)
+}
+
+export function getState(deviceId) {
+  return states.get(deviceId) || null
+}
+
+// Merge a partial state for a device (raw capability `values` are merged per instance)
+// and notify subscribers if anything changed
+export function updateState(deviceId, patch, source) {
+  const previous = states.get(deviceId) || {}
+  // A failed read only tells us about online/offline; keep the last known values
+  const merged = patch.error
+    ? { ...previous, online: patch.online ?? previous.online ?? null, error: patch.error, kind: patch.kind }
+    : { ...previous, ...patch, values: { ...previous.values, ...patch.values }, error: undefined, kind: undefined }
+  const { updatedAt: _before, ...beforeRest } = previous
+  const { updatedAt: _after, ...afterRest } = merged
+  states.set(deviceId, { ...merged, updatedAt: patch.updatedAt || new Date().toISOString() })
+
+  if (JSON.stringify(beforeRest) !== JSON.stringify(afterRest)) {
+    const event = { device: deviceId, state: states.get(deviceId), source }
+    subscribers.forEach(fn => fn(event))
+  }
+  return states.get(deviceId)
+}
+
+// Get every state change. With `poll: false` the subscriber only hears about changes that
+// happen anyway (commands, other subscribers' polls) and doesn't keep the poll running.
+export function subscribe(fn, { poll = true } = {}) {
+  subscribers.add(fn)
+  if (poll) watchers.add(fn)
+  return () => {
+    subscribers.delete(fn)
+    watchers.delete(fn)
+  }
+}
+
+// Subscribers that keep the poll running
+export function subscriberCount() {
+  return watchers.size
+}
+
+// Re-read every device from Govee, alerting on devices that were online and no longer are
+export async function refreshStates(source = 'poll') {
+  const devices = await getDevices()
+  await Promise.all(devices.map(async d => {
+    const wasOnline = states.get(d.device)?.online
+    const state = updateState(d.device, await readState(d), source)
+    if (wasOnline === true && state.online === false) await alerts.notify(offlineAlert(d))
+  }))
+  return getStates()
+}
+
+// Poll while a dashboard is listening, so an idle server doesn't burn the daily API quota.
+// This is how changes made elsewhere (the cron worker, the Govee app) reach the dashboard.
+export function startPolling(seconds) {
+  const timer = setInterval(() => {
+    if (watchers.size === 0) return
+    refreshStates().catch(err => console.error('State poll failed:', err.message))
+  }, seconds * 1000)
+  timer.unref()
+  return timer
+}
@@ -0,0 +1,188 @@
+// Small JSON-file persistence for server-side settings (presets, schedule, ...). Writes go
+// through a temp file and a rename so a crash mid-write can't leave a truncated file behind.
+// Logs that grow with every command (the run history) are appended per day instead.
+
+import { appendFile, mkdir, readdir, readFile, rename, unlink, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { DATA_DIR } from './config.js'
+
+export function jsonFile(name, fallback) {
+  const file = path.join(DATA_DIR, name)
+
+  return {
+    async read() {
+      try {
+        return JSON.parse(await readFile(file, 'utf8'))
+      } catch (err) {
+        if (err.code === 'ENOENT') return structuredClone(fallback)
+        throw err
+      }
+    },
+
+    async write(value) {
+      await mkdir(DATA_DIR, { recursive: true })
+      const tmp = `${file}.tmp`
+      await writeFile(tmp, JSON.stringify(value, null, 2))
+      await rename(tmp, file)
+    }
+  }
+}
+
+/**
+ * A Workers-KV-like store (get/put/delete/list with expirationTtl) kept in a JSON file,
+ * so shared code written against KV (the trigger ledger, fades) survives restarts here.
+ */
+export function jsonKV(name) {
+  const file = jsonFile(name, {})
+  let entries = null
+  let writing = Promise.resolve()
+
+  async function load() {
+    if (!entries) entries = await file.read()
+    const now = Date.now()
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expires && entry.expires <= now) delete entries[key]
+    }
+    return entries
+  }
+
+  // Serialize writes so concurrent puts can't interleave on disk. Each write waits for the
+  // previous one whether or not it failed, and only the caller of a failed write sees it.
+  const save = () => {
+    const write = writing.catch(() => {}).then(() => file.write(entries))
+    writing = write
+    return write
+  }
+
+  return {
+    async get(key, options) {
+      const entry = (await load())[key]
+      if (!entry) return null
+      const type = typeof options === 'string' ? options : options?.type
+      return type === 'json' ? JSON.parse(entry.value) : entry.value
+    },
+
+    async put(key, value, options = {}) {
+      await load()
+      entries[key] = {
+        value: String(value),
+        expires: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null
+      }
+      await save()
+    },
+
+    async delete(key) {
+      await load()
+      delete entries[key]
+      await save()
+    },
+
+    async list({ prefix = '' } = {}) {
+      const keys = Object.keys(await load()).filter(k => k.startsWith(prefix)).sort()
+      return { keys: keys.map(name => ({ name })), list_complete: true }
+    }
+  }
+}
+
+/**
+ * The same KV-like API for logs whose keys contain an ISO date (e.g. the run history,
+ * 'history:2026-10-19T23:59:36.157Z:k3x9'): each UTC day is a JSON-lines file in the `name`
+ * directory, so a put appends one line instead of rewriting every entry, and a day's file is
+ * removed once it's older than `retentionDays`. Lists need a prefix that includes the date.
+ */
+export function dailyLogKV(name, { retentionDays }) {
+  const dir = path.join(DATA_DIR, name)
+  const days = new Map() // loaded days: date -> Map(key -> entry)
+  const torn = new Set() // days whose file ends in a partial line, to be closed off first
+  let appending = Promise.resolve()
+  let prunedFor = null
+
+  const dateOf = (key) => {
+    const date = /\d{4}-\d{2}-\d{2}/.exec(key)?.[0]
+    if (!date) throw new Error(`Key has no date: ${key}`)
+    return date
+  }
+  const fileOf = date => path.join(dir, `${date}.jsonl`)
+
+  async function loadDay(date) {
+    if (days.has(date)) return days.get(date)
+    const entries = new Map()
+    try {
+      const text = await readFile(fileOf(date), 'utf8')
+      if (text && !text.endsWith('\n')) torn.add(date)
+      for (const line of text.split('\n')) {
+        if (!line) continue
+        try {
+          const entry = JSON.parse(line)
+          if (entry.deleted) entries.delete(entry.key)
+          else entries.set(entry.key, entry)
+        } catch {
+          // A line cut short by a crash; the rest of the day is still good
+        }
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+    days.set(date, entries)
+    return entries
+  }
+
+  // Drop day files past the retention period, once per day
+  async function prune(now) {
+    const today = new Date(now).toISOString().slice(0, 10)
+    if (prunedFor === today) return
+    prunedFor = today
+    const oldest = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+    const files = await readdir(dir).catch(() => [])
+    for (const file of files.filter(f => f.endsWith('.jsonl') && f.slice(0, 10) < oldest)) {
+      days.delete(file.slice(0, 10))
+      await unlink(path.join(dir, file)).catch(() => {})
+    }
+  }
+
+  // Appends run one at a time; a failed one doesn't block the next
+  async function append(date, line) {
+    const write = appending.catch(() => {}).then(async () => {
+      await mkdir(dir, { recursive: true })
+      const start = torn.delete(date) ? '\n' : ''
+      await appendFile(fileOf(date), `${start}${JSON.stringify(line)}\n`)
+    })
+    appending = write
+    return write
+  }
+
+  const live = entry => !entry.expires || entry.expires > Date.now()
+
+  return {
+    async get(key, options) {
+      const entry = (await loadDay(dateOf(key))).get(key)
+      if (!entry || !live(entry)) return null
+      const type = typeof options === 'string' ? options : options?.type
+      return type === 'json' ? JSON.parse(entry.value) : entry.value
+    },
+
+    async put(key, value, options = {}) {
+      const date = dateOf(key)
+      const entry = {
+        key,
+        value: String(value),
+        expires: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null
+      }
+      await prune(Date.now())
+      ;(await loadDay(date)).set(key, entry)
+      await append(date, entry)
+    },
+
+    async delete(key) {
+      const date = dateOf(key)
+      ;(await loadDay(date)).delete(key)
+      await append(date, { key, deleted: true })
+    },
+
+    async list({ prefix = '' } = {}) {
+      const entries = await loadDay(dateOf(prefix))
+      const keys = [...entries.values()].filter(e => e.key.startsWith(prefix) && live(e)).map(e => e.key).sort()
+      return { keys: keys.map(name => ({ name })), list_complete: true }
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import { after, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+
+// config.js reads DATA_DIR when it's first imported
+const dataDir = await mkdtemp(path.join(tmpdir(), 'govee-store-'))
+process.env.DATA_DIR = dataDir
+const { dailyLogKV, jsonKV } = await import('./store.js')
+
+after(() => rm(dataDir, { recursive: true, force: true }))
+
+test('dailyLogKV appends one line per put to the day\'s file', async () => {
+  const kv = dailyLogKV('log-append', { retentionDays: 14 })
+  const today = new Date().toISOString()
+  await kv.put(`history:${today}:a`, JSON.stringify({ n: 1 }))
+  await kv.put(`history:${today}:b`, JSON.stringify({ n: 2 }))
+
+  const file = path.join(dataDir, 'log-append', `${today.slice(0, 10)}.jsonl`)
+  const lines = (await readFile(file, 'utf8')).trim().split('\n')
+  assert.equal(lines.length, 2)
+  assert.deepEqual(await kv.get(`history:${today}:b`, 'json'), { n: 2 })
+
+  // A fresh store reads the same entries back from disk
+  const reopened = dailyLogKV('log-append', { retentionDays: 14 })
+  const { keys } = await reopened.list({ prefix: `history:${today.slice(0, 10)}` })
+  assert.deepEqual(keys.map(k => k.name), [`history:${today}:a`, `history:${today}:b`])
+
+  await reopened.delete(`history:${today}:a`)
+  const again = dailyLogKV('log-append', { retentionDays: 14 })
+  assert.equal(await again.get(`history:${today}:a`), null)
+  assert.equal((await again.list({ prefix: 'history:' + today.slice(0, 10) })).keys.length, 1)
+})
+
+test('dailyLogKV skips expired entries and a torn last line, and drops old days', async () => {
+  const dir = path.join(dataDir, 'log-prune')
+  const kv = dailyLogKV('log-prune', { retentionDays: 14 })
+  const now = new Date().toISOString()
+  await kv.put(`history:${now}:old`, 'x', { expirationTtl: -1 })
+  await kv.put(`history:${now}:new`, 'y')
+  await writeFile(path.join(dir, `${now.slice(0, 10)}.jsonl`), '{"key": "history:cut', { flag: 'a' })
+  await writeFile(path.join(dir, '2000-01-01.jsonl'), '')
+
+  const reopened = dailyLogKV('log-prune', { retentionDays: 14 })
+  assert.deepEqual((await reopened.list({ prefix: `history:${now.slice(0, 10)}` })).keys.map(k => k.name), [`history:${now}:new`])
+  await reopened.put(`history:${now}:another`, 'z')
+  assert.ok(!(await readdir(dir)).includes('2000-01-01.jsonl'))
+
+  // The entry written after the torn line survives a restart
+  const later = dailyLogKV('log-prune', { retentionDays: 14 })
+  assert.equal(await later.get(`history:${now}:another`), 'z')
+})
+
+test('jsonKV keeps writing after a failed write', async () => {
+  const kv = jsonKV('kv-recover.json')
+  await kv.put('a', '1')
+
+  // Make the next write fail: its temp file path is taken by a directory
+  const tmp = path.join(dataDir, 'kv-recover.json.tmp')
+  await mkdir(tmp)
+  await assert.rejects(kv.put('b', '2'))
+  await rm(tmp, { recursive: true })
+
+  await kv.put('c', '3')
+  const saved = JSON.parse(await readFile(path.join(dataDir, 'kv-recover.json'), 'utf8'))
+  assert.deepEqual(Object.keys(saved).sort(), ['a', 'b', 'c'])
+})
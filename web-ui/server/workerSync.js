@@ -0,0 +1,21 @@
+// Mirrors presets to the Cloudflare worker (when WORKER_URL is set) so its schedule
+// rules can apply them. Best effort: the dashboard keeps working if the worker is down.
+
+import { WORKER_TOKEN, WORKER_URL } from './config.js'
+
+async function call(method, name, body) {
+  if (!WORKER_URL) return
+  try {
+    const res = await fetch(`${WORKER_URL}/presets?name=${encodeURIComponent(name)}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${WORKER_TOKEN}` },
+      body: body && JSON.stringify(body)
+    })
+    if (!res.ok) console.error(`Worker preset sync (${method} ${name}) failed: HTTP ${res.status}`)
+  } catch (err) {
+    console.error(`Worker preset sync (${method} ${name}) failed:`, err.message)
+  }
+}
+
+export const syncPresetToWorker = preset => call('PUT', preset.name, preset)
+export const deletePresetFromWorker = name => call('DELETE', name)
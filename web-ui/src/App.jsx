@@ -1,56 +1,73 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useCallback } from 'react'
+import { KELVIN_RANGE, capability, colorTemperatureRange, fitCapability } from '../../shared/govee.js'
+import { selectDevices } from '../../shared/groups.js'
+import Panel from './components/Panel.jsx'
+import PresetsPanel from './components/PresetsPanel.jsx'
+import SchedulePanel from './components/SchedulePanel.jsx'
+import HistoryPanel from './components/HistoryPanel.jsx'
+import DeviceDrawer from './components/DeviceDrawer.jsx'
+import RoomTabs from './components/RoomTabs.jsx'
+import MiniColorWheel from './components/MiniColorWheel.jsx'
 
 const API_BASE = '/api'
 
-function Panel({ label, children, className = '' }) {
-  return (
-    <div className={`panel ${className}`}>
-      <span className="panel-label">{label}</span>
-      <div className="panel-content">{children}</div>
-    </div>
-  )
+// How often device state is re-read from Govee (VITE_STATE_REFRESH_SECONDS, default 30s)
+const STATE_REFRESH_MS = (Number(import.meta.env.VITE_STATE_REFRESH_SECONDS) || 30) * 1000
+
+// Server device state -> dashboard state, resolving the active scene value to its name.
+// A failed read keeps the last known values and only updates online/offline.
+function toDeviceState(state, deviceScenes = [], previous) {
+  if (state.error) return { ...previous, online: state.online ?? previous?.online ?? null }
+  const sceneValue = JSON.stringify(state.scene)
+  const scene = state.scene ? deviceScenes.find(s => JSON.stringify(s.value) === sceneValue)?.name || null : null
+  return {
+    online: state.online, power: state.power, brightness: state.brightness,
+    color: state.color, colorTemperatureK: state.colorTemperatureK, scene, values: state.values || {},
+    transport: state.transport || previous?.transport || null
+  }
 }
 
-function MiniColorWheel({ size = 60, onColorSelect }) {
-  const canvasRef = useRef(null)
-  const [isDragging, setIsDragging] = useState(false)
-
-  useEffect(() => {
-    const canvas = canvasRef.current
-    const ctx = canvas.getContext('2d')
-    const center = size / 2, radius = size / 2 - 2
-    for (let angle = 0; angle < 360; angle += 1) {
-      const rad = (angle - 90) * Math.PI / 180
-      ctx.beginPath()
-      ctx.moveTo(center, center)
-      ctx.arc(center, center, radius, rad, rad + 0.02)
-      ctx.closePath()
-      const gradient = ctx.createRadialGradient(center, center, 0, center, center, radius)
-      gradient.addColorStop(0, '#fff')
-      gradient.addColorStop(0.5, `hsl(${angle}, 100%, 50%)`)
-      gradient.addColorStop(1, `hsl(${angle}, 100%, 20%)`)
-      ctx.fillStyle = gradient
-      ctx.fill()
-    }
-  }, [size])
+// Header values from the devices that are on: average brightness, first color or white, shared scene
+function summarizeStates(states) {
+  const on = Object.values(states).filter(s => s.power)
+  const levels = on.map(s => s.brightness).filter(b => b !== null && b !== undefined)
+  const scenes = new Set(on.map(s => s.scene))
+  return {
+    power: on.length > 0,
+    brightness: levels.length ? Math.round(levels.reduce((a, b) => a + b, 0) / levels.length) : null,
+    color: on.find(s => s.color)?.color || null,
+    kelvin: on.find(s => s.colorTemperatureK)?.colorTemperatureK || null,
+    scene: scenes.size === 1 ? [...scenes][0] : null
+  }
+}
 
-  const pickColor = useCallback((e) => {
-    const canvas = canvasRef.current
-    const rect = canvas.getBoundingClientRect()
-    const x = (e.clientX || e.touches?.[0]?.clientX) - rect.left
-    const y = (e.clientY || e.touches?.[0]?.clientY) - rect.top
-    const pixel = canvas.getContext('2d').getImageData(x, y, 1, 1).data
-    if (pixel[3] > 0) onColorSelect([pixel[0], pixel[1], pixel[2]])
-  }, [onColorSelect])
+// { [deviceId]: [{ name, value }] } -> [{ name, devices }], one entry per option name
+function optionsByName(devices, optionsByDevice) {
+  const byName = new Map()
+  devices.forEach(d => (optionsByDevice[d.device] || []).forEach(option => {
+    byName.set(option.name, [...(byName.get(option.name) || []), d])
+  }))
+  return [...byName].map(([name, devs]) => ({ name, devices: devs })).sort((a, b) => a.name.localeCompare(b.name))
+}
 
+// One titled group of scene buttons; `labelFor` maps an option to its active-scene label
+function SceneSection({ title, items, activeScene, onPick, labelFor = s => s.name, children }) {
   return (
-    <canvas ref={canvasRef} width={size} height={size}
-      style={{ borderRadius: '50%', cursor: 'crosshair', flexShrink: 0 }}
-      onMouseDown={(e) => { setIsDragging(true); pickColor(e) }}
-      onMouseMove={(e) => isDragging && pickColor(e)}
-      onMouseUp={() => setIsDragging(false)}
-      onMouseLeave={() => setIsDragging(false)}
-    />
+    <div className="scene-section">
+      <div className="scene-section-header">
+        {title} <span className="scene-section-count">{items.length}</span>
+      </div>
+      {children}
+      <div className="scene-grid">
+        {items.map(s => (
+          <button key={s.name}
+            className={`scene-btn ${activeScene === labelFor(s) ? 'active' : ''}`}
+            title={`${s.devices.length} device${s.devices.length === 1 ? '' : 's'}`}
+            onClick={() => onPick(s)}
+          >{s.name}</button>
+        ))}
+      </div>
+    </div>
   )
 }
 
@@ -58,101 +75,377 @@ export default function App() {
   const [devices, setDevices] = useState([])
   const [deviceStates, setDeviceStates] = useState({})
   const [scenes, setScenes] = useState({})
+  const [diyScenes, setDiyScenes] = useState({})
+  const [snapshots, setSnapshots] = useState({})
+  // { [deviceId]: { modes: [{ name, value }], sensitivity: { min, max } } }
+  const [music, setMusic] = useState({})
+  const [sensitivity, setSensitivity] = useState(50)
   const [loading, setLoading] = useState(true)
   const [activeScene, setActiveScene] = useState(null)
   const [brightness, setBrightness] = useState(100)
   const [color, setColor] = useState([120, 200, 180])
+  const [kelvin, setKelvin] = useState(null)
   const [power, setPower] = useState(true)
+  const [presets, setPresets] = useState([])
+  const [activePreset, setActivePreset] = useState(null)
+  const [schedule, setSchedule] = useState({ rules: [], location: null })
+  const [history, setHistory] = useState([])
+  const [historyDays, setHistoryDays] = useState(3)
+  const [historySource, setHistorySource] = useState(null)
+  // Devices whose last batch command didn't apply: { [deviceId]: error message }
+  const [failedDevices, setFailedDevices] = useState({})
+  const [quota, setQuota] = useState(null)
+  // Device whose control drawer is open
+  const [drawerDevice, setDrawerDevice] = useState(null)
+  // { [name]: { devices: [deviceId] } }, and the room the controls act on (null = every device)
+  const [rooms, setRooms] = useState({})
+  const [room, setRoom] = useState(null)
+
+  const roomDevices = room && rooms[room] ? selectDevices(devices, { group: room }, rooms) : devices
+  const roomOf = (device) => Object.keys(rooms).find(name => rooms[name].devices?.includes(device.device)) || null
+
+  // Re-read every device's state; resolves to the raw per-device states
+  const fetchStates = useCallback((deviceScenes) => fetch(`${API_BASE}/state`).then(r => r.json()).then(data => {
+    const states = data.states || {}
+    setDeviceStates(s => {
+      const next = { ...s }
+      Object.entries(states).forEach(([id, state]) => {
+        next[id] = toDeviceState(state, deviceScenes[id], s[id])
+      })
+      return next
+    })
+    return states
+  }), [])
 
   useEffect(() => {
-    fetch(`${API_BASE}/devices`).then(r => r.json()).then(data => {
+    fetch(`${API_BASE}/devices`).then(r => r.json()).then(async data => {
       setDevices(data.devices || [])
       setScenes(data.scenes || {})
-      const states = {}
-      ;(data.devices || []).forEach(d => {
-        states[d.device] = { power: true, color: [120, 200, 180], scene: null }
-      })
-      setDeviceStates(states)
+      setDiyScenes(data.diyScenes || {})
+      setSnapshots(data.snapshots || {})
+      setMusic(data.music || {})
+      const states = await fetchStates(data.scenes || {})
+      const summary = summarizeStates(Object.fromEntries(Object.entries(states)
+        .map(([id, state]) => [id, toDeviceState(state, (data.scenes || {})[id])])))
+      setPower(summary.power)
+      if (summary.brightness !== null) setBrightness(summary.brightness)
+      if (summary.color) setColor(summary.color)
+      setKelvin(summary.kelvin)
+      setActiveScene(summary.scene)
       setLoading(false)
     }).catch(() => setLoading(false))
-  }, [])
+  }, [fetchStates])
+
+  const loadPresets = useCallback(() => fetch(`${API_BASE}/presets`).then(r => r.json())
+    .then(data => setPresets(data.presets || [])), [])
+
+  useEffect(() => {
+    loadPresets().catch(() => {})
+  }, [loadPresets])
+
+  const loadRooms = useCallback(() => fetch(`${API_BASE}/rooms`).then(r => r.json())
+    .then(data => setRooms(data.rooms || {})), [])
+
+  useEffect(() => {
+    loadRooms().catch(() => {})
+  }, [loadRooms])
+
+  // The server keeps a device in one room at most, so adding it to a room moves it there
+  const saveRoom = (name, deviceIds) => fetch(`${API_BASE}/rooms/${encodeURIComponent(name)}`, {
+    method: 'PUT', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ devices: deviceIds })
+  }).then(r => r.json()).then(data => data.rooms && setRooms(data.rooms))
+
+  const createRoom = (name) => saveRoom(name, rooms[name]?.devices || []).then(() => setRoom(name))
+
+  const deleteRoom = (name) => fetch(`${API_BASE}/rooms/${encodeURIComponent(name)}`, { method: 'DELETE' })
+    .then(r => r.json()).then(data => {
+      if (data.rooms) setRooms(data.rooms)
+      if (room === name) setRoom(null)
+    })
+
+  const assignRoom = (device, name) => {
+    const current = roomOf(device)
+    if (name === current) return
+    if (name) saveRoom(name, [...(rooms[name].devices || []), device.device])
+    else saveRoom(current, rooms[current].devices.filter(id => id !== device.device))
+  }
+
+  const loadSchedule = useCallback(() => fetch(`${API_BASE}/schedule`).then(r => r.json())
+    .then(data => setSchedule({ rules: data.rules || [], location: data.location || null })), [])
+
+  // Reload now and then so next-run times and last results stay current
+  useEffect(() => {
+    loadSchedule().catch(() => {})
+    const timer = setInterval(() => loadSchedule().catch(() => {}), 60 * 1000)
+    return () => clearInterval(timer)
+  }, [loadSchedule])
 
+  // Run history for the timeline; reloaded with the filters and every minute
+  useEffect(() => {
+    const params = new URLSearchParams({ days: historyDays, ...(historySource && { source: historySource }) })
+    const load = () => fetch(`${API_BASE}/history?${params}`).then(r => r.json())
+      .then(data => setHistory(data.entries || [])).catch(() => {})
+    load()
+    const timer = setInterval(load, 60 * 1000)
+    return () => clearInterval(timer)
+  }, [historyDays, historySource])
+
+  // Live updates from the server (other dashboards, the cron worker via polling).
+  // Falls back to polling /state ourselves while the stream is down.
+  useEffect(() => {
+    if (loading) return
+    const applyStates = (states) => setDeviceStates(s => {
+      const next = { ...s }
+      Object.entries(states).forEach(([id, state]) => {
+        next[id] = toDeviceState(state, scenes[id], s[id])
+      })
+      return next
+    })
+
+    const events = new EventSource(`${API_BASE}/events`)
+    events.addEventListener('snapshot', e => applyStates(JSON.parse(e.data).states))
+    events.addEventListener('state', e => {
+      const { device, state } = JSON.parse(e.data)
+      applyStates({ [device]: state })
+    })
+
+    const timer = setInterval(() => {
+      if (events.readyState !== EventSource.OPEN) fetchStates(scenes).catch(() => {})
+    }, STATE_REFRESH_MS)
+    return () => {
+      clearInterval(timer)
+      events.close()
+    }
+  }, [loading, scenes, fetchStates])
+
+  // Resolves once the server has applied the command; rejects with its error otherwise
   const control = (device, cap) => fetch(`${API_BASE}/control`, {
     method: 'POST', headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ sku: device.sku, device: device.device, capability: cap })
+  }).then(async r => {
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `HTTP ${r.status}`)
   })
 
+  // Flag the devices that didn't apply a command (and clear the ones that did), then re-read
+  // state so the optimistic updates get corrected. `results` are per-device server results;
+  // entries without a device (e.g. an unknown preset) are ignored.
+  const flagResults = (results) => {
+    setFailedDevices(f => {
+      const next = { ...f }
+      results.filter(r => r.device).forEach(r => {
+        if (r.success) delete next[r.device]
+        else next[r.device] = r.error || 'Failed'
+      })
+      return next
+    })
+    if (results.some(r => !r.success)) fetchStates(scenes)
+  }
+
+  // Send ordered capabilities to several devices in one request (none if no device takes them)
+  const controlBatch = (actions) => actions.length === 0 ? Promise.resolve() : fetch(`${API_BASE}/control/batch`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ actions })
+  }).then(r => r.json()).then(data => flagResults(data.results || []))
+    .catch(err => flagResults(actions.map(a => ({ device: a.device, success: false, error: err.message }))))
+
   const toggleDevicePower = (device, on) => {
-    control(device, { type: 'devices.capabilities.on_off', instance: 'powerSwitch', value: on ? 1 : 0 })
+    control(device, capability.power(on))
+      .then(() => flagResults([{ device: device.device, success: true }]))
+      .catch(err => flagResults([{ device: device.device, success: false, error: err.message }]))
     setDeviceStates(s => ({ ...s, [device.device]: { ...s[device.device], power: on } }))
   }
 
   const setPowerAll = (on) => {
     setPower(on)
-    devices.forEach(d => {
-      control(d, { type: 'devices.capabilities.on_off', instance: 'powerSwitch', value: on ? 1 : 0 })
+    controlBatch(roomDevices.map(d => ({ device: d.device, capabilities: [capability.power(on)] })))
+    roomDevices.forEach(d => {
       setDeviceStates(s => ({ ...s, [d.device]: { ...s[d.device], power: on } }))
     })
   }
 
   const setBrightnessAll = (v) => {
     setBrightness(v)
-    devices.forEach(d => control(d, { type: 'devices.capabilities.range', instance: 'brightness', value: v }))
+    controlBatch(roomDevices.map(d => ({ device: d.device, capabilities: [capability.brightness(v)] })))
+    roomDevices.forEach(d => {
+      setDeviceStates(s => ({ ...s, [d.device]: { ...s[d.device], brightness: v } }))
+    })
   }
 
   const setColorAll = (rgb) => {
     setColor(rgb)
+    setKelvin(null)
     setActiveScene(null)
-    devices.forEach(d => {
-      if (!deviceStates[d.device]?.power) control(d, { type: 'devices.capabilities.on_off', instance: 'powerSwitch', value: 1 })
-      setTimeout(() => control(d, { type: 'devices.capabilities.color_setting', instance: 'colorRgb', value: (rgb[0] << 16) + (rgb[1] << 8) + rgb[2] }), 100)
+    setActivePreset(null)
+    // Devices without color (plain white plugs and bulbs) are left alone
+    const colorDevices = roomDevices.filter(d => fitCapability(d, capability.rgb(rgb)))
+    controlBatch(colorDevices.map(d => ({
+      device: d.device,
+      capabilities: deviceStates[d.device]?.power
+        ? [capability.rgb(rgb)]
+        : [capability.power(true), capability.rgb(rgb)]
+    })))
+    colorDevices.forEach(d => {
       setDeviceStates(s => ({ ...s, [d.device]: { ...s[d.device], power: true, color: rgb, scene: null } }))
     })
     setPower(true)
   }
 
-  const setSceneForDevices = (name, targetDevices) => {
-    setActiveScene(name)
+  // White at a color temperature, clamped to each device's own Kelvin range; devices
+  // without color temperature are left alone
+  const setKelvinAll = (k) => {
+    setKelvin(k)
+    setActiveScene(null)
+    setActivePreset(null)
+    const actions = []
+    roomDevices.forEach(d => {
+      const cap = fitCapability(d, capability.colorTemperature(k))
+      if (!cap) return
+      setDeviceStates(s => ({ ...s, [d.device]: { ...s[d.device], power: true, colorTemperatureK: cap.value, color: null, scene: null } }))
+      actions.push({
+        device: d.device,
+        capabilities: deviceStates[d.device]?.power ? [cap] : [capability.power(true), cap]
+      })
+    })
+    controlBatch(actions)
+    setPower(true)
+  }
+
+  // Commands from a device's drawer, sent as-is and in order. The new state comes back
+  // over the event stream once Govee accepts them.
+  const sendToDevice = (device, caps) => {
+    if (caps.length === 0) return
+    setActivePreset(null)
+    controlBatch([{ device: device.device, capabilities: caps }])
+  }
+
+  // Start something on every target device that has it (a scene, DIY scene, snapshot or
+  // music mode), switching devices on first. `capFor(d)` returns null for devices without it;
+  // `label` is what the dashboard shows as active.
+  const playOnDevices = (label, targetDevices, capFor) => {
+    setActiveScene(label)
+    setKelvin(null)
+    setActivePreset(null)
+    const actions = []
     targetDevices.forEach(d => {
-      const scene = (scenes[d.device] || []).find(s => s.name === name)
-      if (scene) {
-        if (!deviceStates[d.device]?.power) control(d, { type: 'devices.capabilities.on_off', instance: 'powerSwitch', value: 1 })
-        setTimeout(() => control(d, { type: 'devices.capabilities.dynamic_scene', instance: 'lightScene', value: scene.value }), 100)
-        setDeviceStates(s => ({ ...s, [d.device]: { ...s[d.device], power: true, scene: name } }))
-      }
+      const cap = capFor(d)
+      if (!cap) return
+      actions.push({
+        device: d.device,
+        capabilities: deviceStates[d.device]?.power ? [cap] : [capability.power(true), cap]
+      })
+      setDeviceStates(s => ({ ...s, [d.device]: { ...s[d.device], power: true, scene: label } }))
     })
+    controlBatch(actions)
     setPower(true)
   }
 
+  const optionValue = (optionsByDevice, d, name) => (optionsByDevice[d.device] || []).find(o => o.name === name)?.value
+
+  const setSceneForDevices = (name, targetDevices) => playOnDevices(name, targetDevices, d => {
+    const value = optionValue(scenes, d, name)
+    return value === undefined ? null : capability.scene(value)
+  })
+
+  const setDiySceneForDevices = (name, targetDevices) => playOnDevices(`DIY · ${name}`, targetDevices, d => {
+    const value = optionValue(diyScenes, d, name)
+    return value === undefined ? null : capability.diyScene(value)
+  })
+
+  const setSnapshotForDevices = (name, targetDevices) => playOnDevices(`SNAPSHOT · ${name}`, targetDevices, d => {
+    const value = optionValue(snapshots, d, name)
+    return value === undefined ? null : capability.snapshot(value)
+  })
+
+  // Sensitivity is a percentage of each device's own range
+  const setMusicForDevices = (name, targetDevices) => playOnDevices(`MUSIC · ${name}`, targetDevices, d => {
+    const options = music[d.device]
+    const value = options?.modes.find(m => m.name === name)?.value
+    if (value === undefined) return null
+    const { min, max } = options.sensitivity
+    return capability.musicMode(value, min + (max - min) * sensitivity / 100)
+  })
+
+  const savePreset = (name) => fetch(`${API_BASE}/presets`, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name })
+  }).then(() => loadPresets())
+
+  const deletePreset = (name) => fetch(`${API_BASE}/presets/${encodeURIComponent(name)}`, { method: 'DELETE' })
+    .then(() => loadPresets())
+
+  // The server applies the preset; resulting device states arrive over the event stream.
+  // If the request itself fails, every device in the preset is flagged.
+  const applyPreset = (name) => {
+    setActivePreset(name)
+    setActiveScene(null)
+    fetch(`${API_BASE}/presets/${encodeURIComponent(name)}/apply`, { method: 'POST' })
+      .then(async r => {
+        const data = await r.json().catch(() => ({}))
+        if (!r.ok || !Array.isArray(data.results)) throw new Error(data.error || `HTTP ${r.status}`)
+        flagResults(data.results)
+      })
+      .catch(err => {
+        setActivePreset(a => (a === name ? null : a))
+        const devices = Object.keys(presets.find(p => p.name === name)?.devices || {})
+        flagResults(devices.map(device => ({ device, success: false, error: err.message })))
+      })
+  }
+
+  // Govee API usage for the footer; the key is shared with the cron worker
+  useEffect(() => {
+    const load = () => fetch(`${API_BASE}/quota`).then(r => r.json()).then(setQuota).catch(() => {})
+    load()
+    const timer = setInterval(load, 30 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  // Create (no id) or replace a local schedule rule; rejects with the server's message
+  const saveRule = (rule, id) => fetch(`${API_BASE}/schedule${id ? `/${encodeURIComponent(id)}` : ''}`, {
+    method: id ? 'PUT' : 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rule)
+  }).then(async r => {
+    if (!r.ok) throw new Error((await r.json()).error || `HTTP ${r.status}`)
+    return loadSchedule()
+  })
+
+  const deleteRule = (id) => fetch(`${API_BASE}/schedule/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    .then(() => loadSchedule())
+
+  const toggleRule = (rule) => saveRule({ ...rule, enabled: rule.enabled === false }, rule.id).catch(() => {})
+
+  const testRule = (id) => fetch(`${API_BASE}/schedule/${encodeURIComponent(id)}/test`, { method: 'POST' })
+    .then(() => loadSchedule())
+
   // Group scenes by device compatibility
   const groupScenesByDevice = () => {
     const deviceSceneSets = {}
     const allSceneNames = new Set()
 
-    devices.forEach(d => {
+    roomDevices.forEach(d => {
       const deviceSceneNames = new Set((scenes[d.device] || []).map(s => s.name))
       deviceSceneSets[d.device] = deviceSceneNames
       deviceSceneNames.forEach(name => allSceneNames.add(name))
     })
 
-    // Find scenes common to ALL devices
+    // Find scenes common to every device in view
     const commonScenes = []
     const deviceSpecificScenes = {}
 
     allSceneNames.forEach(sceneName => {
-      const devicesWithScene = devices.filter(d => deviceSceneSets[d.device]?.has(sceneName))
+      const devicesWithScene = roomDevices.filter(d => deviceSceneSets[d.device]?.has(sceneName))
 
-      if (devicesWithScene.length === devices.length) {
-        commonScenes.push({ name: sceneName, devices: devices })
+      if (devicesWithScene.length === roomDevices.length) {
+        commonScenes.push({ name: sceneName, devices: roomDevices })
       } else {
-        // Group by device type
+        // Group by room, or by device inside the selected room
         devicesWithScene.forEach(d => {
-          const key = getDeviceCategory(d.deviceName)
+          const key = sceneGroupOf(d)
           if (!deviceSpecificScenes[key]) deviceSpecificScenes[key] = []
           if (!deviceSpecificScenes[key].find(s => s.name === sceneName)) {
             deviceSpecificScenes[key].push({
               name: sceneName,
-              devices: devicesWithScene.filter(dev => getDeviceCategory(dev.deviceName) === key)
+              devices: devicesWithScene.filter(dev => sceneGroupOf(dev) === key)
             })
           }
         })
@@ -162,17 +455,22 @@ export default function App() {
     return { commonScenes: commonScenes.sort((a,b) => a.name.localeCompare(b.name)), deviceSpecificScenes }
   }
 
-  const getDeviceCategory = (name) => {
-    const lower = name.toLowerCase()
-    if (lower.includes('table')) return 'TABLE LAMP'
-    if (lower.includes('uplighter') || lower.includes('projector')) return 'CEILING PROJECTOR'
-    if (lower.includes('floor')) return 'FLOOR LAMPS'
-    return 'OTHER'
-  }
+  const sceneGroupOf = (device) => room ? device.deviceName.toUpperCase() : (roomOf(device) || 'NO ROOM').toUpperCase()
 
   const { commonScenes, deviceSpecificScenes } = groupScenesByDevice()
   const accent = `rgb(${color.join(',')})`
-  const totalScenes = commonScenes.length + Object.values(deviceSpecificScenes).flat().length
+  const openDevice = devices.find(d => d.device === drawerDevice)
+
+  // The Kelvin slider spans every device's range; each device gets the value clamped to its own
+  const kelvinRange = roomDevices.length === 0 ? KELVIN_RANGE : {
+    min: Math.min(...roomDevices.map(d => colorTemperatureRange(d).min)),
+    max: Math.max(...roomDevices.map(d => colorTemperatureRange(d).max))
+  }
+  const diyOptions = optionsByName(roomDevices, diyScenes)
+  const snapshotOptions = optionsByName(roomDevices, snapshots)
+  const musicOptions = optionsByName(roomDevices, Object.fromEntries(Object.entries(music).map(([id, m]) => [id, m.modes])))
+  const totalScenes = commonScenes.length + Object.values(deviceSpecificScenes).flat().length +
+    diyOptions.length + snapshotOptions.length
 
   if (loading) return (
     <div className="loader"><div className="loader-text">INITIALIZING...</div></div>
@@ -224,8 +522,10 @@ export default function App() {
         .header-control { display: flex; align-items: center; gap: 8px; font-size: 8px; color: var(--text-muted); }
         .header-control span { color: var(--accent); }
 
+        .main-column { display: flex; flex-direction: column; gap: 10px; min-height: 0; padding-top: 6px; }
+
         /* Scenes area */
-        .scenes-area { overflow: hidden; display: flex; flex-direction: column; gap: 8px; }
+        .scenes-area { flex: 1; min-height: 0; overflow: hidden; display: flex; flex-direction: column; gap: 8px; }
         .scenes-area .panel-content { display: flex; flex-direction: column; gap: 10px; overflow-y: auto; }
         .scenes-area .panel-content::-webkit-scrollbar { width: 3px; }
         .scenes-area .panel-content::-webkit-scrollbar-thumb { background: var(--border); border-radius: 2px; }
@@ -241,6 +541,12 @@ export default function App() {
         .scene-section-count { color: var(--accent); }
 
         .scene-grid { display: flex; flex-wrap: wrap; gap: 4px; }
+        .music-sensitivity {
+          display: flex; align-items: center; gap: 8px; margin-bottom: 6px;
+          font-size: 7px; letter-spacing: 0.1em; color: var(--text-muted);
+        }
+        .music-sensitivity input { width: 120px; accent-color: var(--accent); }
+        .music-sensitivity span { color: var(--accent); }
         .scene-btn {
           padding: 4px 8px;
           font-family: inherit; font-size: 8px;
@@ -255,7 +561,13 @@ export default function App() {
         }
 
         /* Sidebar */
-        .sidebar { display: flex; flex-direction: column; gap: 8px; }
+        .sidebar { display: flex; flex-direction: column; gap: 8px; overflow-y: auto; min-height: 0; padding-top: 6px; }
+
+        .room-tabs { display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 8px; }
+        .room-delete { margin-left: 6px; color: var(--text-muted); }
+        .room-delete:hover { color: var(--text); }
+        .room-form { display: flex; }
+        .room-form .preset-input { width: 80px; }
 
         .devices-list { display: flex; flex-direction: column; gap: 6px; }
         .device-row {
@@ -264,6 +576,54 @@ export default function App() {
           background: rgba(255,255,255,0.02);
           border-radius: 6px; border: 1px solid var(--border);
         }
+        .device-row.offline { opacity: 0.5; }
+        .device-online { color: var(--accent); }
+        .device-online.offline { color: #e05555; }
+        .device-transport.lan { color: var(--accent); }
+        .device-row { cursor: pointer; }
+        .device-row.selected { border-color: var(--accent); }
+
+        /* Device drawer */
+        .drawer {
+          position: fixed; top: 0; right: 0; bottom: 0; width: 280px; z-index: 10;
+          display: flex; flex-direction: column;
+          background: var(--bg); border-left: 1px solid var(--border);
+          box-shadow: -8px 0 24px rgba(0,0,0,0.4);
+        }
+        .drawer-header {
+          display: flex; align-items: flex-start; justify-content: space-between;
+          padding: 14px 12px; border-bottom: 1px solid var(--border);
+        }
+        .drawer-body { flex: 1; overflow-y: auto; padding: 12px; display: flex; flex-direction: column; gap: 12px; }
+        .drawer-field { display: flex; flex-direction: column; gap: 4px; }
+        .drawer-label { font-size: 7px; font-weight: 600; letter-spacing: 0.1em; color: var(--text-muted); }
+        .drawer-slider { display: flex; align-items: center; gap: 8px; font-size: 8px; color: var(--accent); }
+        .drawer-slider input { flex: 1; accent-color: var(--accent); }
+        .drawer-color { display: flex; align-items: center; gap: 10px; }
+        .drawer-struct { display: flex; flex-direction: column; gap: 6px; padding-left: 8px; border-left: 1px solid var(--border); }
+        .drawer .device-toggle { align-self: flex-start; }
+        .drawer select.preset-input { background: var(--bg); }
+
+        .segment-editor {
+          display: flex; flex-direction: column; gap: 6px;
+          margin-top: 4px; padding: 8px; border: 1px solid var(--border); border-radius: 6px;
+        }
+        .segment-strip { display: flex; gap: 2px; }
+        .segment {
+          flex: 1; height: 14px; min-width: 0; padding: 0;
+          border: 1px solid transparent; border-radius: 2px; cursor: pointer;
+        }
+        .segment.unknown { background: rgba(255,255,255,0.06); }
+        .segment.selected { border-color: var(--text); }
+        .segment-tools { display: flex; align-items: center; gap: 4px; }
+        .segment-tools input[type="color"] {
+          width: 18px; height: 18px; padding: 0; border: 1px solid var(--border); border-radius: 3px; background: none;
+        }
+        .segment-level { flex: 1; min-width: 0; accent-color: var(--accent); }
+        .segment-count { margin-left: auto; }
+
+        .device-row.failed { border-color: rgba(224,85,85,0.5); }
+        .device-failed { color: #e05555; }
         .device-indicator { width: 6px; height: 6px; border-radius: 50%; flex-shrink: 0; }
         .device-indicator.on { box-shadow: 0 0 4px currentColor; }
         .device-info { flex: 1; min-width: 0; }
@@ -279,6 +639,48 @@ export default function App() {
           border-color: var(--accent); color: var(--accent);
         }
 
+        .preset-list { display: flex; flex-direction: column; gap: 4px; margin-bottom: 8px; }
+        .preset-row { display: flex; gap: 4px; }
+        .preset-btn { flex: 1; text-align: left; }
+        .preset-delete {
+          padding: 0 6px; font-family: inherit; font-size: 9px;
+          background: transparent; border: none; color: var(--text-muted); cursor: pointer;
+        }
+        .preset-delete:hover { color: var(--text); }
+        .preset-empty { font-size: 7px; color: var(--text-muted); }
+        .preset-form { display: flex; gap: 4px; }
+        .preset-input {
+          flex: 1; min-width: 0; padding: 3px 6px;
+          font-family: inherit; font-size: 7px; color: var(--text);
+          background: transparent; border: 1px solid var(--border); border-radius: 3px;
+        }
+
+        /* Schedule */
+        .schedule-area { flex-shrink: 0; max-height: 40%; overflow-y: auto; }
+        .schedule-list { display: flex; flex-direction: column; gap: 4px; margin-bottom: 8px; }
+        .schedule-row {
+          display: flex; align-items: center; gap: 6px;
+          padding: 6px 8px; border: 1px solid var(--border); border-radius: 6px;
+        }
+        .schedule-row.disabled { opacity: 0.5; }
+        .schedule-info { flex: 1; min-width: 0; }
+        .schedule-when { font-size: 8px; font-weight: 600; }
+        .schedule-info .device-status span { color: var(--accent); }
+        .schedule-form { display: flex; flex-wrap: wrap; gap: 4px; }
+        .schedule-form .preset-input { flex: 0 1 120px; }
+        .schedule-form select.preset-input { background: var(--bg); }
+        .schedule-error { width: 100%; font-size: 7px; color: #e05555; }
+
+        /* History */
+        .history-area { flex-shrink: 0; max-height: 35%; overflow-y: auto; }
+        .history-filters { display: flex; gap: 4px; margin-bottom: 8px; }
+        .history-filters select.preset-input { flex: 0 1 120px; background: var(--bg); }
+        .history-day { margin-bottom: 8px; }
+        .history-row { display: flex; align-items: center; gap: 8px; padding: 3px 0; }
+        .history-row.failed .schedule-when { color: #e05555; }
+        .history-time { font-size: 8px; color: var(--accent); min-width: 32px; }
+        .history-source { font-size: 6px; letter-spacing: 0.1em; color: var(--text-muted); min-width: 44px; }
+
         .controls-row { display: flex; gap: 6px; }
         .power-btn {
           flex: 1; padding: 10px;
@@ -294,6 +696,16 @@ export default function App() {
         .brightness-bar { flex: 1; height: 4px; background: rgba(255,255,255,0.06); border-radius: 2px; cursor: pointer; }
         .brightness-fill { height: 100%; background: var(--accent); border-radius: 2px; }
 
+        .kelvin-value { font-size: 12px; }
+        .kelvin-bar {
+          position: relative; flex: 1; height: 6px; border-radius: 3px; cursor: pointer;
+          background: linear-gradient(to right, #ff8a2b, #ffd6aa, #fff4e8, #cfe0ff);
+        }
+        .kelvin-marker {
+          position: absolute; top: -3px; width: 4px; height: 12px; margin-left: -2px;
+          background: var(--bg); border: 1px solid var(--accent); border-radius: 2px;
+        }
+
         .color-row { display: flex; align-items: center; gap: 10px; }
         .color-swatch { width: 20px; height: 20px; border-radius: 4px; border: 1px solid var(--border); }
         .color-text { font-size: 8px; color: var(--text-muted); }
@@ -306,6 +718,7 @@ export default function App() {
           font-size: 7px; color: var(--text-muted); letter-spacing: 0.05em;
         }
         .footer span { color: var(--accent); margin-left: 4px; }
+        .footer .footer-quota { color: var(--text-muted); margin-left: 0; }
 
         .loader { height: 100vh; display: flex; align-items: center; justify-content: center; background: var(--bg); }
         .loader-text { font-size: 9px; letter-spacing: 0.2em; color: var(--text-muted); animation: blink 1s infinite; }
@@ -325,58 +738,87 @@ export default function App() {
           </div>
         </header>
 
+        <div className="main-column">
         <Panel label="SCENES" className="scenes-area">
           {/* Common scenes */}
           {commonScenes.length > 0 && (
-            <div className="scene-section">
-              <div className="scene-section-header">
-                ALL DEVICES <span className="scene-section-count">{commonScenes.length}</span>
-              </div>
-              <div className="scene-grid">
-                {commonScenes.map(s => (
-                  <button key={s.name}
-                    className={`scene-btn ${activeScene === s.name ? 'active' : ''}`}
-                    onClick={() => setSceneForDevices(s.name, s.devices)}
-                  >{s.name}</button>
-                ))}
-              </div>
-            </div>
+            <SceneSection title={room ? `ALL IN ${room.toUpperCase()}` : 'ALL DEVICES'} items={commonScenes} activeScene={activeScene}
+              onPick={s => setSceneForDevices(s.name, s.devices)} />
           )}
 
           {/* Device-specific scenes */}
           {Object.entries(deviceSpecificScenes).map(([category, categoryScenes]) => (
-            <div key={category} className="scene-section">
-              <div className="scene-section-header">
-                {category} <span className="scene-section-count">{categoryScenes.length}</span>
-              </div>
-              <div className="scene-grid">
-                {categoryScenes.sort((a,b) => a.name.localeCompare(b.name)).map(s => (
-                  <button key={s.name}
-                    className={`scene-btn ${activeScene === s.name ? 'active' : ''}`}
-                    onClick={() => setSceneForDevices(s.name, s.devices)}
-                  >{s.name}</button>
-                ))}
-              </div>
-            </div>
+            <SceneSection key={category} title={category} activeScene={activeScene}
+              items={categoryScenes.sort((a,b) => a.name.localeCompare(b.name))}
+              onPick={s => setSceneForDevices(s.name, s.devices)} />
           ))}
+
+          {/* The user's own DIY scenes and saved snapshots */}
+          {diyOptions.length > 0 && (
+            <SceneSection title="DIY" items={diyOptions} activeScene={activeScene}
+              labelFor={s => `DIY · ${s.name}`} onPick={s => setDiySceneForDevices(s.name, s.devices)} />
+          )}
+          {snapshotOptions.length > 0 && (
+            <SceneSection title="SNAPSHOTS" items={snapshotOptions} activeScene={activeScene}
+              labelFor={s => `SNAPSHOT · ${s.name}`} onPick={s => setSnapshotForDevices(s.name, s.devices)} />
+          )}
+
+          {/* Music modes react to sound; sensitivity applies to the next mode picked */}
+          {musicOptions.length > 0 && (
+            <SceneSection title="MUSIC" items={musicOptions} activeScene={activeScene}
+              labelFor={s => `MUSIC · ${s.name}`} onPick={s => setMusicForDevices(s.name, s.devices)}>
+              <div className="music-sensitivity">
+                SENSITIVITY
+                <input type="range" min="0" max="100" value={sensitivity}
+                  onChange={(e) => setSensitivity(Number(e.target.value))} />
+                <span>{sensitivity}%</span>
+              </div>
+            </SceneSection>
+          )}
         </Panel>
 
+        <SchedulePanel rules={schedule.rules} timezone={schedule.location?.timezone} presets={presets}
+          rooms={Object.keys(rooms)}
+          onSave={saveRule} onDelete={deleteRule} onToggle={toggleRule} onTest={testRule} />
+
+        <HistoryPanel entries={history} timezone={schedule.location?.timezone} days={historyDays} source={historySource}
+          onDaysChange={setHistoryDays} onSourceChange={setHistorySource} />
+        </div>
+
         <div className="sidebar">
           <Panel label="DEVICES">
+            <RoomTabs rooms={rooms} selected={room} onSelect={setRoom} onCreate={createRoom} onDelete={deleteRoom} />
             <div className="devices-list">
-              {devices.map(d => {
-                const state = deviceStates[d.device] || { power: false, color: [100,100,100], scene: null }
-                const deviceColor = state.power ? `rgb(${state.color.join(',')})` : '#333'
+              {roomDevices.length === 0 && <div className="preset-empty">NO DEVICES IN THIS ROOM · ASSIGN FROM A DEVICE'S DRAWER</div>}
+              {roomDevices.map(d => {
+                const state = deviceStates[d.device] || { online: null, power: false, color: null, scene: null }
+                const deviceColor = state.power ? `rgb(${(state.color || [255, 214, 170]).join(',')})` : '#333'
+                const offline = state.online === false
+                const failed = failedDevices[d.device]
                 return (
-                  <div key={d.device} className="device-row">
+                  <div key={d.device}
+                    className={`device-row ${offline ? 'offline' : ''} ${failed ? 'failed' : ''} ${drawerDevice === d.device ? 'selected' : ''}`}
+                    title={failed ? `Last command failed: ${failed}` : undefined}
+                    onClick={() => setDrawerDevice(drawerDevice === d.device ? null : d.device)}>
                     <div className={`device-indicator ${state.power ? 'on' : ''}`}
                       style={{ background: deviceColor, color: deviceColor }} />
                     <div className="device-info">
                       <div className="device-name">{d.deviceName}</div>
-                      <div className="device-status">{state.power ? (state.scene || 'COLOR') : 'OFF'}</div>
+                      <div className="device-status">
+                        <span className={`device-online ${offline ? 'offline' : ''}`}>{offline ? 'OFFLINE' : state.online ? 'ONLINE' : '—'}</span>
+                        {state.transport && (
+                          <span className={`device-transport ${state.transport}`}
+                            title={state.transport === 'lan' ? 'Controlled over the local network' : 'Controlled through the Govee cloud'}>
+                            {' · '}{state.transport.toUpperCase()}
+                          </span>
+                        )}
+                        {failed && <span className="device-failed"> · FAILED</span>}
+                        {' · '}{state.power ? (state.scene || 'COLOR') : 'OFF'}
+                        {state.power && state.brightness !== null && state.brightness !== undefined ? ` · ${state.brightness}%` : ''}
+                      </div>
                     </div>
                     <button className={`device-toggle ${state.power ? 'on' : ''}`}
-                      onClick={() => toggleDevicePower(d, !state.power)}>
+                      onClick={(e) => { e.stopPropagation(); toggleDevicePower(d, !state.power) }}>
                       {state.power ? 'ON' : 'OFF'}
                     </button>
                   </div>
@@ -385,6 +827,9 @@ export default function App() {
             </div>
           </Panel>
 
+          <PresetsPanel presets={presets} activePreset={activePreset}
+            onApply={applyPreset} onSave={savePreset} onDelete={deletePreset} />
+
           <Panel label="POWER">
             <div className="controls-row">
               <button className={`power-btn ${power ? 'active' : ''}`} onClick={() => setPowerAll(true)}>ON</button>
@@ -411,13 +856,46 @@ export default function App() {
               <div className="color-text"><span>{color[0]}</span> <span>{color[1]}</span> <span>{color[2]}</span></div>
             </div>
           </Panel>
+
+          <Panel label="WHITE">
+            <div className="brightness-row">
+              <span className="brightness-value kelvin-value">{kelvin ? `${kelvin}K` : '—'}</span>
+              <div className="kelvin-bar" title={`${kelvinRange.min}K – ${kelvinRange.max}K`} onClick={(e) => {
+                const rect = e.currentTarget.getBoundingClientRect()
+                const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width))
+                setKelvinAll(Math.round((kelvinRange.min + fraction * (kelvinRange.max - kelvinRange.min)) / 50) * 50)
+              }}>
+                {kelvin && (
+                  <div className="kelvin-marker"
+                    style={{ left: `${(kelvin - kelvinRange.min) / (kelvinRange.max - kelvinRange.min) * 100}%` }} />
+                )}
+              </div>
+            </div>
+          </Panel>
         </div>
 
         <footer className="footer">
           <div>DEVICES<span>{devices.length}</span> · SCENES<span>{totalScenes}</span></div>
-          <div>GOVEE API v1</div>
+          <div>
+            {quota && (
+              <span className="footer-quota" title={`Resets ${new Date(quota.resetAt).toLocaleString()}${quota.source === 'estimate' ? ' · counted by this server' : ''}`}>
+                {quota.queue?.pausedUntil ? 'RATE LIMITED · ' : ''}
+                QUOTA<span>{quota.remaining.toLocaleString()}/{quota.limit.toLocaleString()}</span>
+                {quota.queue?.queued > 0 && <> · QUEUED<span>{quota.queue.queued}</span></>}
+                {' · '}
+              </span>
+            )}
+            GOVEE API v1
+          </div>
         </footer>
       </div>
+
+      {openDevice && (
+        <DeviceDrawer key={openDevice.device} device={openDevice} state={deviceStates[openDevice.device]}
+          extraOptions={{ lightScene: scenes[openDevice.device], diyScene: diyScenes[openDevice.device] }}
+          rooms={Object.keys(rooms)} room={roomOf(openDevice)} onAssignRoom={(name) => assignRoom(openDevice, name)}
+          onSend={(caps) => sendToDevice(openDevice, caps)} onClose={() => setDrawerDevice(null)} />
+      )}
     </>
   )
 }
@@ -0,0 +1,165 @@
+import { useState } from 'react'
+import { CAPABILITY_TYPES, packRgb, segmentCount, unpackRgb } from '../../../shared/govee.js'
+import MiniColorWheel from './MiniColorWheel.jsx'
+import SegmentEditor from './SegmentEditor.jsx'
+
+// Read-only capabilities, and ones edited together with another control
+const HIDDEN_TYPES = [CAPABILITY_TYPES.online, 'devices.capabilities.property']
+const HIDDEN_INSTANCES = ['segmentedBrightness']
+
+const label = text => text.replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase()
+
+// An enum with exactly an "on" and an "off" option is shown as a switch
+function switchValues(options) {
+  if (options.length !== 2) return null
+  const on = options.find(o => /^on$/i.test(o.name))
+  const off = options.find(o => /^off$/i.test(o.name))
+  return on && off ? { on: on.value, off: off.value } : null
+}
+
+/**
+ * How to edit a capability from its /user/devices description:
+ * range -> slider, enum -> select (or a switch for on/off), color -> wheel, struct -> one
+ * control per field. Enums whose options come from another call (lightScene, diyScene)
+ * take them from `extraOptions`. Returns null for capabilities with nothing to edit.
+ */
+function controlFor(cap, extraOptions = {}) {
+  const parameters = cap.parameters || {}
+  if (HIDDEN_TYPES.includes(cap.type) || HIDDEN_INSTANCES.includes(cap.instance)) return null
+  if (cap.instance === 'segmentedColorRgb') return { kind: 'segments' }
+  if (cap.instance === 'colorRgb') return { kind: 'color' }
+
+  if (parameters.dataType === 'ENUM') {
+    const options = parameters.options?.length ? parameters.options : extraOptions[cap.instance] || []
+    const toggle = switchValues(options)
+    if (toggle) return { kind: 'switch', ...toggle }
+    return options.length > 0 ? { kind: 'select', options } : null
+  }
+  if (parameters.range) return { kind: 'slider', range: parameters.range, unit: parameters.unit }
+  if (parameters.dataType === 'STRUCT' && parameters.fields?.length) {
+    const fields = parameters.fields
+      .map(field => ({ ...field, control: field.fieldName === 'rgb' ? { kind: 'color' } : controlFor({ parameters: field }) }))
+      .filter(field => field.control)
+    return fields.length > 0 ? { kind: 'struct', fields } : null
+  }
+  return null
+}
+
+const unitSuffix = unit => unit === 'unit.percent' ? '%' : unit === 'unit.kelvin' ? 'K' : ''
+
+// Slider that only sends when released, so dragging doesn't fire a request per pixel
+function Slider({ range, unit, value, onCommit }) {
+  const [draft, setDraft] = useState(null)
+  const shown = draft ?? value ?? range.min
+  const commit = () => {
+    if (draft !== null) onCommit(draft)
+    setDraft(null)
+  }
+  return (
+    <div className="drawer-slider">
+      <input type="range" min={range.min} max={range.max} step={range.precision || 1} value={shown}
+        onChange={(e) => setDraft(Number(e.target.value))}
+        onPointerUp={commit} onKeyUp={commit} />
+      <span>{shown}{unitSuffix(unit)}</span>
+    </div>
+  )
+}
+
+function FieldControl({ control, value, onChange }) {
+  switch (control.kind) {
+    case 'switch':
+      return (
+        <button className={`device-toggle ${value === control.on ? 'on' : ''}`}
+          onClick={() => onChange(value === control.on ? control.off : control.on)}>
+          {value === control.on ? 'ON' : 'OFF'}
+        </button>
+      )
+    case 'select':
+      return (
+        <select className="preset-input" value={value === undefined ? '' : JSON.stringify(value)}
+          onChange={(e) => e.target.value && onChange(JSON.parse(e.target.value))}>
+          <option value="">—</option>
+          {control.options.map(o => <option key={o.name} value={JSON.stringify(o.value)}>{o.name}</option>)}
+        </select>
+      )
+    case 'slider':
+      return <Slider range={control.range} unit={control.unit} value={value} onCommit={onChange} />
+    case 'color':
+      return (
+        <div className="drawer-color">
+          <MiniColorWheel size={44} onColorSelect={(rgb) => onChange(packRgb(rgb))} />
+          {typeof value === 'number' && <div className="color-swatch" style={{ background: `rgb(${unpackRgb(value).join(',')})` }} />}
+        </div>
+      )
+    default:
+      return null
+  }
+}
+
+// Struct capabilities (music mode, ...) are edited field by field and sent together
+function StructControl({ control, value, onSend }) {
+  const [draft, setDraft] = useState(() => ({ ...value }))
+  return (
+    <div className="drawer-struct">
+      {control.fields.map(field => (
+        <div key={field.fieldName} className="drawer-field">
+          <span className="drawer-label">{label(field.fieldName)}</span>
+          <FieldControl control={field.control} value={draft[field.fieldName]}
+            onChange={(v) => setDraft(d => ({ ...d, [field.fieldName]: v }))} />
+        </div>
+      ))}
+      <button className="device-toggle on" onClick={() => onSend(draft)}>APPLY</button>
+    </div>
+  )
+}
+
+/**
+ * Every control a device supports, generated from its `capabilities`. `state` is the
+ * dashboard's device state (with raw `values` by instance); `onSend` gets one or more
+ * capabilities to send in order.
+ */
+export default function DeviceDrawer({ device, state, extraOptions, rooms, room, onAssignRoom, onSend, onClose }) {
+  const values = { ...state?.values }
+  if (state?.color) values.colorRgb = packRgb(state.color)
+  if (typeof state?.power === 'boolean') values.powerSwitch = state.power ? 1 : 0
+
+  const send = (cap, value) => onSend([{ type: cap.type, instance: cap.instance, value }])
+
+  const controls = (device.capabilities || [])
+    .map(cap => ({ cap, control: controlFor(cap, extraOptions) }))
+    .filter(c => c.control)
+
+  return (
+    <aside className="drawer">
+      <div className="drawer-header">
+        <div>
+          <div className="device-name">{device.deviceName}</div>
+          <div className="device-status">{device.sku} · {device.device}</div>
+        </div>
+        <button className="preset-delete" title="Close" onClick={onClose}>×</button>
+      </div>
+      <div className="drawer-body">
+        <div className="drawer-field">
+          <span className="drawer-label">ROOM</span>
+          <select className="preset-input" value={room || ''} onChange={(e) => onAssignRoom(e.target.value || null)}>
+            <option value="">NO ROOM</option>
+            {rooms.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        {controls.length === 0 && <div className="preset-empty">NO CONTROLLABLE CAPABILITIES</div>}
+        {controls.map(({ cap, control }) => (
+          <div key={cap.instance} className="drawer-field">
+            <span className="drawer-label">{label(cap.instance)}</span>
+            {control.kind === 'segments' && <SegmentEditor count={segmentCount(device)} onSend={onSend} />}
+            {control.kind === 'struct' && (
+              <StructControl control={control} value={values[cap.instance] || {}} onSend={(v) => send(cap, v)} />
+            )}
+            {!['segments', 'struct'].includes(control.kind) && (
+              <FieldControl control={control} value={values[cap.instance]} onChange={(v) => send(cap, v)} />
+            )}
+          </div>
+        ))}
+      </div>
+    </aside>
+  )
+}
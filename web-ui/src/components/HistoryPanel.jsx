@@ -0,0 +1,77 @@
+import Panel from './Panel.jsx'
+import { describeAction } from '../describeAction.js'
+
+const DAY_CHOICES = [1, 3, 7, 14]
+const SOURCES = ['ui', 'cli', 'schedule', 'mqtt']
+
+function describeEntry(entry) {
+  const what = entry.kind === 'rule' || entry.kind === 'test'
+    ? `${entry.kind === 'test' ? 'TEST ' : ''}${entry.ruleId} · ${describeAction(entry.action)}`
+    : describeAction(entry.action)
+  const late = entry.lateMinutes > 0 ? ` · ${entry.lateMinutes} MIN LATE` : ''
+  return `${what.toUpperCase()}${entry.target ? ` · ${entry.target.toUpperCase()}` : ''}${late}`
+}
+
+const dayOf = (iso, timeZone) => new Date(iso).toLocaleDateString('en-GB', {
+  timeZone, weekday: 'short', day: 'numeric', month: 'short'
+}).toUpperCase()
+
+const timeOf = (iso, timeZone) => new Date(iso).toLocaleTimeString('en-GB', {
+  timeZone, hour: '2-digit', minute: '2-digit'
+})
+
+/**
+ * Timeline of what ran over the last `days` days (newest first, grouped by local day):
+ * dashboard commands, preset applies and schedule runs, with the devices that failed.
+ */
+export default function HistoryPanel({ entries, timezone, days, source, onDaysChange, onSourceChange }) {
+  const byDay = []
+  for (const entry of entries) {
+    const day = dayOf(entry.at, timezone)
+    if (byDay.at(-1)?.day !== day) byDay.push({ day, entries: [] })
+    byDay.at(-1).entries.push(entry)
+  }
+
+  return (
+    <Panel label="HISTORY" className="history-area">
+      <div className="history-filters">
+        {DAY_CHOICES.map(n => (
+          <button key={n} className={`scene-btn ${days === n ? 'active' : ''}`} onClick={() => onDaysChange(n)}>{n}D</button>
+        ))}
+        <select className="preset-input" value={source || ''} onChange={(e) => onSourceChange(e.target.value || null)}>
+          <option value="">ALL SOURCES</option>
+          {SOURCES.map(s => <option key={s} value={s}>{s.toUpperCase()}</option>)}
+        </select>
+      </div>
+      {entries.length === 0 && <div className="preset-empty">NOTHING RAN IN THIS PERIOD</div>}
+      {byDay.map(({ day, entries: dayEntries }) => (
+        <div key={day} className="history-day">
+          <div className="scene-section-header">
+            {day} <span className="scene-section-count">{dayEntries.length}</span>
+          </div>
+          {dayEntries.map((entry, i) => {
+            const failed = (entry.results || []).filter(r => !r.success)
+            // Devices without the capability (e.g. color temperature on a white-only plug)
+            const skipped = (entry.results || []).filter(r => r.skipped)
+            const sent = (entry.results?.length || 0) - skipped.length
+            return (
+              <div key={`${entry.at}-${i}`} className={`history-row ${entry.ok ? '' : 'failed'}`}>
+                <span className="history-time">{timeOf(entry.at, timezone)}</span>
+                <span className="history-source">{entry.source.toUpperCase()}</span>
+                <div className="schedule-info">
+                  <div className="schedule-when">{describeEntry(entry)}</div>
+                  <div className="device-status">
+                    {entry.ok ? 'OK' : 'FAILED'}
+                    {sent > 0 && ` · ${sent - failed.length}/${sent} DEVICES`}
+                    {skipped.length > 0 && ` · ${skipped.length} SKIPPED`}
+                    {failed.length > 0 && ` · ${failed.map(r => `${r.name || r.device || '?'} (${r.kind || r.error})`).join(', ')}`}
+                  </div>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      ))}
+    </Panel>
+  )
+}
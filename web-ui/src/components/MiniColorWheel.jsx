@@ -0,0 +1,44 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+
+export default function MiniColorWheel({ size = 60, onColorSelect }) {
+  const canvasRef = useRef(null)
+  const [isDragging, setIsDragging] = useState(false)
+
+  useEffect(() => {
+    const canvas = canvasRef.current
+    const ctx = canvas.getContext('2d')
+    const center = size / 2, radius = size / 2 - 2
+    for (let angle = 0; angle < 360; angle += 1) {
+      const rad = (angle - 90) * Math.PI / 180
+      ctx.beginPath()
+      ctx.moveTo(center, center)
+      ctx.arc(center, center, radius, rad, rad + 0.02)
+      ctx.closePath()
+      const gradient = ctx.createRadialGradient(center, center, 0, center, center, radius)
+      gradient.addColorStop(0, '#fff')
+      gradient.addColorStop(0.5, `hsl(${angle}, 100%, 50%)`)
+      gradient.addColorStop(1, `hsl(${angle}, 100%, 20%)`)
+      ctx.fillStyle = gradient
+      ctx.fill()
+    }
+  }, [size])
+
+  const pickColor = useCallback((e) => {
+    const canvas = canvasRef.current
+    const rect = canvas.getBoundingClientRect()
+    const x = (e.clientX || e.touches?.[0]?.clientX) - rect.left
+    const y = (e.clientY || e.touches?.[0]?.clientY) - rect.top
+    const pixel = canvas.getContext('2d').getImageData(x, y, 1, 1).data
+    if (pixel[3] > 0) onColorSelect([pixel[0], pixel[1], pixel[2]])
+  }, [onColorSelect])
+
+  return (
+    <canvas ref={canvasRef} width={size} height={size}
+      style={{ borderRadius: '50%', cursor: 'crosshair', flexShrink: 0 }}
+      onMouseDown={(e) => { setIsDragging(true); pickColor(e) }}
+      onMouseMove={(e) => isDragging && pickColor(e)}
+      onMouseUp={() => setIsDragging(false)}
+      onMouseLeave={() => setIsDragging(false)}
+    />
+  )
+}
@@ -0,0 +1,8 @@
+export default function Panel({ label, children, className = '' }) {
+  return (
+    <div className={`panel ${className}`}>
+      <span className="panel-label">{label}</span>
+      <div className="panel-content">{children}</div>
+    </div>
+  )
+}
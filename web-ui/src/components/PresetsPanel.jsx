@@ -0,0 +1,34 @@
+import { useState } from 'react'
+import Panel from './Panel.jsx'
+
+export default function PresetsPanel({ presets, activePreset, onApply, onSave, onDelete }) {
+  const [name, setName] = useState('')
+
+  const save = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    onSave(name.trim())
+    setName('')
+  }
+
+  return (
+    <Panel label="PRESETS">
+      <div className="preset-list">
+        {presets.length === 0 && <div className="preset-empty">NO PRESETS YET</div>}
+        {presets.map(p => (
+          <div key={p.name} className="preset-row">
+            <button className={`scene-btn preset-btn ${activePreset === p.name ? 'active' : ''}`}
+              title={`${Object.keys(p.devices).length} devices`}
+              onClick={() => onApply(p.name)}>{p.name}</button>
+            <button className="preset-delete" title="Delete preset" onClick={() => onDelete(p.name)}>×</button>
+          </div>
+        ))}
+      </div>
+      <form className="preset-form" onSubmit={save}>
+        <input className="preset-input" value={name} placeholder="SAVE CURRENT AS…"
+          onChange={(e) => setName(e.target.value)} />
+        <button className="device-toggle" type="submit">SAVE</button>
+      </form>
+    </Panel>
+  )
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react'
+
+// Room picker for the DEVICES panel: ALL plus one tab per room, and a field to add a room
+export default function RoomTabs({ rooms, selected, onSelect, onCreate, onDelete }) {
+  const [adding, setAdding] = useState(false)
+  const [name, setName] = useState('')
+
+  const create = (e) => {
+    e.preventDefault()
+    if (name.trim()) onCreate(name.trim())
+    setName('')
+    setAdding(false)
+  }
+
+  return (
+    <div className="room-tabs">
+      <button className={`scene-btn ${selected ? '' : 'active'}`} onClick={() => onSelect(null)}>ALL</button>
+      {Object.entries(rooms).map(([room, group]) => (
+        <button key={room} className={`scene-btn ${selected === room ? 'active' : ''}`}
+          title={`${(group.devices || []).length} devices`} onClick={() => onSelect(room)}>
+          {room}
+          {selected === room && (
+            <span className="room-delete" title="Delete room"
+              onClick={(e) => { e.stopPropagation(); onDelete(room) }}>×</span>
+          )}
+        </button>
+      ))}
+      {adding ? (
+        <form className="room-form" onSubmit={create}>
+          <input className="preset-input" autoFocus value={name} placeholder="ROOM NAME"
+            onChange={(e) => setName(e.target.value)} onBlur={create} />
+        </form>
+      ) : (
+        <button className="scene-btn" title="New room" onClick={() => setAdding(true)}>+</button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import Panel from './Panel.jsx'
+import { describeAction } from '../describeAction.js'
+
+const EMPTY_FORM = { at: 'sunset', days: 'daily', group: '', kind: 'on', brightness: '', kelvin: '', preset: '' }
+
+// Rule action <-> the editor's flat fields
+function toForm(rule) {
+  const { action } = rule
+  const kind = action.preset ? 'preset' : action.fade ? 'fade' : action.power === 'off' ? 'off' : 'on'
+  return {
+    at: rule.at,
+    days: Array.isArray(rule.days) ? rule.days.join(',') : rule.days || 'daily',
+    group: rule.group || '',
+    kind,
+    brightness: action.brightness ?? action.fade?.brightness ?? '',
+    kelvin: action.colorTemperature ?? '',
+    preset: action.preset || ''
+  }
+}
+
+function toAction({ kind, brightness, kelvin, preset }) {
+  const level = brightness === '' ? undefined : Number(brightness)
+  switch (kind) {
+    case 'off': return { power: 'off' }
+    case 'preset': return { preset }
+    case 'fade': return { fade: level === undefined ? true : { brightness: level } }
+    default: return {
+      power: 'on',
+      ...(level !== undefined && { brightness: level }),
+      ...(kelvin !== '' && { colorTemperature: Number(kelvin) })
+    }
+  }
+}
+
+function formatRun(iso, timeZone) {
+  if (!iso) return '—'
+  return new Date(iso).toLocaleString('en-GB', {
+    timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit'
+  }).toUpperCase()
+}
+
+export default function SchedulePanel({ rules, timezone, presets, rooms, onSave, onDelete, onToggle, onTest }) {
+  const [form, setForm] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [error, setError] = useState(null)
+
+  const edit = (rule) => {
+    setEditing(rule?.id || null)
+    setForm(rule ? toForm(rule) : EMPTY_FORM)
+    setError(null)
+  }
+
+  const field = (name) => (e) => setForm({ ...form, [name]: e.target.value })
+
+  const save = (e) => {
+    e.preventDefault()
+    const existing = rules.find(r => r.id === editing)
+    const rule = { ...existing, at: form.at.trim(), days: form.days, group: form.group || undefined, action: toAction(form) }
+    onSave(rule, editing)
+      .then(() => setForm(null))
+      .catch(err => setError(err.message))
+  }
+
+  return (
+    <Panel label="SCHEDULE" className="schedule-area">
+      <div className="schedule-list">
+        {rules.length === 0 && <div className="preset-empty">NO RULES YET</div>}
+        {rules.map(rule => (
+          <div key={rule.id} className={`schedule-row ${rule.enabled === false ? 'disabled' : ''}`}>
+            <button className={`device-toggle ${rule.enabled === false ? '' : 'on'}`}
+              title={rule.enabled === false ? 'Enable rule' : 'Disable rule'}
+              onClick={() => onToggle(rule)}>{rule.enabled === false ? 'OFF' : 'ON'}</button>
+            <div className="schedule-info">
+              <div className="schedule-when">
+                {rule.at.toUpperCase()} · {(Array.isArray(rule.days) ? rule.days.join(',') : rule.days || 'daily').toUpperCase()}
+                {rule.group && ` · ${rule.group.toUpperCase()}`}
+              </div>
+              <div className="device-status">
+                {describeAction(rule.action)} · NEXT <span>{formatRun(rule.nextRun, timezone)}</span>
+                {rule.lastRun && ` · LAST ${rule.lastRun.running ? 'RUNNING' : rule.lastRun.ok ? 'OK' : 'FAILED'}`}
+              </div>
+            </div>
+            <button className="scene-btn" title="Run now" onClick={() => onTest(rule.id)}>TEST</button>
+            <button className="scene-btn" onClick={() => edit(rule)}>EDIT</button>
+            <button className="preset-delete" title="Delete rule" onClick={() => onDelete(rule.id)}>×</button>
+          </div>
+        ))}
+      </div>
+
+      {form ? (
+        <form className="schedule-form" onSubmit={save}>
+          <input className="preset-input" value={form.at} placeholder="sunset-15m OR 06:30"
+            onChange={field('at')} />
+          <select className="preset-input" value={form.days} onChange={field('days')}>
+            <option value="daily">DAILY</option>
+            <option value="weekdays">WEEKDAYS</option>
+            <option value="weekends">WEEKENDS</option>
+            {!['daily', 'weekdays', 'weekends'].includes(form.days) && <option value={form.days}>{form.days.toUpperCase()}</option>}
+          </select>
+          <select className="preset-input" value={form.group} onChange={field('group')}>
+            <option value="">ALL ROOMS</option>
+            {rooms.map(name => <option key={name} value={name}>{name}</option>)}
+            {form.group && !rooms.includes(form.group) && <option value={form.group}>{form.group}</option>}
+          </select>
+          <select className="preset-input" value={form.kind} onChange={field('kind')}>
+            <option value="on">ON</option>
+            <option value="off">OFF</option>
+            <option value="fade">FADE IN</option>
+            <option value="preset">PRESET</option>
+          </select>
+          {(form.kind === 'on' || form.kind === 'fade') && (
+            <input className="preset-input" type="number" min="1" max="100" value={form.brightness}
+              placeholder="BRIGHTNESS %" onChange={field('brightness')} />
+          )}
+          {form.kind === 'on' && (
+            <input className="preset-input" type="number" min="1000" max="10000" step="50" value={form.kelvin}
+              placeholder="WHITE K" onChange={field('kelvin')} />
+          )}
+          {form.kind === 'preset' && (
+            <select className="preset-input" value={form.preset} onChange={field('preset')} required>
+              <option value="">PRESET…</option>
+              {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+            </select>
+          )}
+          <button className="device-toggle on" type="submit">{editing ? 'UPDATE' : 'ADD'}</button>
+          <button className="device-toggle" type="button" onClick={() => setForm(null)}>CANCEL</button>
+          {error && <div className="schedule-error">{error}</div>}
+        </form>
+      ) : (
+        <button className="device-toggle" onClick={() => edit(null)}>+ NEW RULE</button>
+      )}
+    </Panel>
+  )
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react'
+import { capability, segmentColorCommands } from '../../../shared/govee.js'
+
+const toHex = rgb => `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`
+const fromHex = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16))
+
+// `count` colors blending evenly from one [r, g, b] to another
+function gradient(from, to, count) {
+  return Array.from({ length: count }, (_, i) => {
+    const t = count === 1 ? 0 : i / (count - 1)
+    return from.map((c, k) => Math.round(c + (to[k] - c) * t))
+  })
+}
+
+/**
+ * Per-segment colors for an RGBIC device. Click segments to select them (all segments when
+ * nothing is selected), then paint a color, lay a gradient across them or dim them.
+ * Govee doesn't report segment colors, so the strip shows what was painted here.
+ */
+export default function SegmentEditor({ count, onSend }) {
+  const [colors, setColors] = useState(() => Array(count).fill(null))
+  const [selected, setSelected] = useState([])
+  const [paint, setPaint] = useState('#ffb070')
+  const [gradientTo, setGradientTo] = useState('#7040ff')
+  const [level, setLevel] = useState(100)
+  // Level being dragged (or keyed) but not sent yet
+  const [draftLevel, setDraftLevel] = useState(null)
+
+  const targets = selected.length > 0 ? [...selected].sort((a, b) => a - b) : colors.map((_, i) => i)
+
+  const toggle = (index) => setSelected(s => s.includes(index) ? s.filter(i => i !== index) : [...s, index])
+
+  const apply = (next) => {
+    const painted = colors.map((c, i) => next[i] === undefined ? null : next[i])
+    setColors(colors.map((c, i) => next[i] ?? c))
+    onSend(segmentColorCommands(painted))
+  }
+
+  // Sent when the slider is released (mouse, touch or pen) or after a key changes it
+  const commitLevel = () => {
+    if (draftLevel === null) return
+    setLevel(draftLevel)
+    setDraftLevel(null)
+    onSend([capability.segmentBrightness(targets, draftLevel)])
+  }
+
+  const paintSolid = () => apply(Object.fromEntries(targets.map(i => [i, fromHex(paint)])))
+
+  const paintGradient = () => {
+    const blend = gradient(fromHex(paint), fromHex(gradientTo), targets.length)
+    apply(Object.fromEntries(targets.map((segment, i) => [segment, blend[i]])))
+  }
+
+  return (
+    <div className="segment-editor">
+      <div className="segment-strip">
+        {colors.map((rgb, i) => (
+          <button key={i} title={`Segment ${i + 1}`}
+            className={`segment ${selected.includes(i) ? 'selected' : ''} ${rgb ? '' : 'unknown'}`}
+            style={rgb ? { background: toHex(rgb) } : undefined}
+            onClick={() => toggle(i)} />
+        ))}
+      </div>
+      <div className="segment-tools">
+        <input type="color" value={paint} title="Color" onChange={(e) => setPaint(e.target.value)} />
+        <button className="device-toggle" onClick={paintSolid}>PAINT</button>
+        <input type="color" value={gradientTo} title="Gradient end" onChange={(e) => setGradientTo(e.target.value)} />
+        <button className="device-toggle" onClick={paintGradient}>GRADIENT</button>
+      </div>
+      <div className="segment-tools">
+        <input className="segment-level" type="range" min="0" max="100" value={draftLevel ?? level}
+          onChange={(e) => setDraftLevel(Number(e.target.value))}
+          onPointerUp={commitLevel} onKeyUp={commitLevel} />
+        <span className="device-status">{draftLevel ?? level}%</span>
+        <span className="device-status segment-count">
+          {selected.length > 0 ? `${selected.length}/${count} SELECTED` : `ALL ${count}`}
+        </span>
+        {selected.length > 0 && <button className="preset-delete" title="Clear selection" onClick={() => setSelected([])}>×</button>}
+      </div>
+    </div>
+  )
+}
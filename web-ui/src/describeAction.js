@@ -0,0 +1,11 @@
+// Short label for a schedule rule action ({ power, brightness, colorTemperature, preset, fade }),
+// shared by the schedule list and the history timeline. History control entries already
+// carry their action as text and are passed through.
+export function describeAction(action) {
+  if (typeof action === 'string') return action
+  if (action.preset) return `PRESET ${action.preset}`
+  if (action.fade) return `FADE IN${action.fade.brightness ? ` ${action.fade.brightness}%` : ''}`
+  if (action.power === 'off') return 'OFF'
+  return ['ON', action.brightness !== undefined && `${action.brightness}%`, action.colorTemperature && `${action.colorTemperature}K`]
+    .filter(Boolean).join(' ')
+}
@@ -5,6 +5,8 @@ import tailwindcss from '@tailwindcss/vite'
 export default defineConfig({
   plugins: [react(), tailwindcss()],
   server: {
+    // Allow importing the Govee client and helpers from ../shared
+    fs: { allow: ['..'] },
     proxy: {
       '/api': {
         target: 'http://localhost:3001',